@@ -0,0 +1,290 @@
+/**
+ * A small client for the Auth0 Management API, for what this backend needs from it
+ * (plus /userinfo, to find out who an access token belongs to)
+ *
+ * Account linking and verification emails act on the user in Auth0 itself, so they can't
+ * be done with the user's access token: the backend calls the Management API with its own
+ * credentials. Create a Machine to Machine application in the Auth0 dashboard, authorize
+ * it for the "Auth0 Management API" with the `read:users` and `update:users` scopes, and
+ * set AUTH0_MGMT_CLIENT_ID and AUTH0_MGMT_CLIENT_SECRET.
+ *
+ * Without an Auth0 tenant (e.g. with the local identity provider of mock-api/), set
+ * AUTH0_MGMT_MOCK=true instead: createMockManagementClient keeps everything in memory,
+ * and asks AUTH0_DOMAIN's /userinfo who access tokens belong to.
+ *
+ * Uses the fetch built into Node.js 18+.
+ */
+
+/**
+ * The Management API refused a request, or couldn't be reached
+ */
+class ManagementApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "ManagementApiError";
+    this.status = status;
+  }
+}
+
+// Get a new Management API token a little before the current one expires
+const tokenExpiryMargin = 60 * 1000;
+
+/**
+ * Ask the identity provider who an access token belongs to. It checks the token, so the
+ * answer proves that whoever sent it can log in with that account.
+ * @returns {Promise<Object>} The profile of the token's user, with its `sub`
+ */
+const fetchUserInfo = async (baseUrl, accessToken) => {
+  const response = await fetch(`${baseUrl}/userinfo`, {
+    headers: { authorization: `Bearer ${accessToken}` },
+  });
+
+  if (!response.ok) {
+    throw new ManagementApiError(
+      "The access token of the account to link is not valid",
+      400
+    );
+  }
+  return response.json();
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.domain - e.g. https://your-domain.auth0.com/
+ * @param {string} options.clientId - Of the Machine to Machine application
+ * @param {string} options.clientSecret
+ */
+const createManagementClient = ({ domain, clientId, clientSecret }) => {
+  const baseUrl = domain.replace(/\/+$/, "");
+  let token = null;
+
+  const getToken = async () => {
+    if (token && token.expiresAt - tokenExpiryMargin > Date.now()) {
+      return token.value;
+    }
+
+    const response = await fetch(`${baseUrl}/oauth/token`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        grant_type: "client_credentials",
+        client_id: clientId,
+        client_secret: clientSecret,
+        audience: `${baseUrl}/api/v2/`,
+      }),
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new ManagementApiError(
+        body.error_description || "Could not get a Management API token",
+        response.status
+      );
+    }
+
+    token = {
+      value: body.access_token,
+      expiresAt: Date.now() + body.expires_in * 1000,
+    };
+    return token.value;
+  };
+
+  const request = async (method, path, data) => {
+    const response = await fetch(`${baseUrl}/api/v2${path}`, {
+      method,
+      headers: {
+        authorization: `Bearer ${await getToken()}`,
+        ...(data && { "content-type": "application/json" }),
+      },
+      ...(data && { body: JSON.stringify(data) }),
+    });
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      throw new ManagementApiError(
+        (body && body.message) || "Management API request failed",
+        response.status
+      );
+    }
+    return body;
+  };
+
+  const userPath = (userId) => `/users/${encodeURIComponent(userId)}`;
+
+  return {
+    /**
+     * @returns {Promise<{ email: string, email_verified: boolean }>}
+     */
+    getEmailStatus: (userId) =>
+      request(
+        "GET",
+        `${userPath(userId)}?fields=email,email_verified&include_fields=true`
+      ),
+
+    /**
+     * Ask Auth0 to send the user the email with the link that verifies their address
+     */
+    sendVerificationEmail: async (userId) => {
+      await request("POST", "/jobs/verification-email", { user_id: userId });
+    },
+
+    /**
+     * @returns {Promise<Object[]>} The identities linked to the user, the primary one first
+     */
+    getIdentities: async (userId) => {
+      const user = await request(
+        "GET",
+        `${userPath(userId)}?fields=identities&include_fields=true`
+      );
+      return user.identities;
+    },
+
+    /**
+     * Ask Auth0 who an access token belongs to
+     * @returns {Promise<Object>} The profile of the token's user, with its `sub`
+     */
+    getUserInfo: (accessToken) => fetchUserInfo(baseUrl, accessToken),
+
+    /**
+     * Link another user (e.g. "google-oauth2|123") to the user, as a secondary identity
+     * @returns {Promise<Object[]>} The user's identities after linking
+     */
+    linkIdentity: (userId, secondaryUserId) => {
+      // Auth0 user IDs are "<provider>|<id>", and the id part may contain "|" too
+      const separatorIndex = secondaryUserId.indexOf("|");
+
+      return request("POST", `${userPath(userId)}/identities`, {
+        provider: secondaryUserId.slice(0, separatorIndex),
+        user_id: secondaryUserId.slice(separatorIndex + 1),
+      });
+    },
+
+    /**
+     * Turn a linked identity back into a separate user
+     * @returns {Promise<Object[]>} The user's identities after unlinking
+     */
+    unlinkIdentity: (userId, provider, identityUserId) =>
+      request(
+        "DELETE",
+        `${userPath(userId)}/identities/${encodeURIComponent(
+          provider
+        )}/${encodeURIComponent(identityUserId)}`
+      ),
+  };
+};
+
+/**
+ * Same methods as createManagementClient, without Auth0: users live in memory, and
+ * verification emails are only logged. Useful offline, and to test the routes.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.users] - Known users by ID: `{ email, email_verified, identities }`.
+ *   Any other user ID is treated as an unverified user with a single identity.
+ * @param {Function} [options.log] - Where "sent" emails are reported
+ * @param {string} [options.domain] - Identity provider whose /userinfo checks the access
+ *   tokens of accounts to link, e.g. the local one at http://localhost:6061/
+ */
+const createMockManagementClient = ({
+  users = {},
+  log = console.log,
+  domain,
+} = {}) => {
+  const store = new Map(Object.entries(users));
+
+  const toIdentity = (userId) => {
+    const separatorIndex = userId.indexOf("|");
+
+    return {
+      provider: userId.slice(0, separatorIndex),
+      user_id: userId.slice(separatorIndex + 1),
+      isSocial: false,
+    };
+  };
+
+  const getUser = (userId) => {
+    if (!store.has(userId)) {
+      store.set(userId, { email: null, email_verified: false });
+    }
+
+    const user = store.get(userId);
+
+    user.identities = user.identities || [toIdentity(userId)];
+    return user;
+  };
+
+  return {
+    getEmailStatus: async (userId) => {
+      const { email, email_verified } = getUser(userId);
+
+      return { email, email_verified };
+    },
+
+    sendVerificationEmail: async (userId) => {
+      const { email } = getUser(userId);
+
+      log(
+        `📧 [mock] Verification email for ${userId} (${email || "no email"})`
+      );
+    },
+
+    getIdentities: async (userId) => getUser(userId).identities,
+
+    getUserInfo: async (accessToken) => {
+      if (!domain) {
+        throw new ManagementApiError(
+          "Set AUTH0_DOMAIN so the mock Management API can check access tokens",
+          400
+        );
+      }
+      return fetchUserInfo(domain.replace(/\/+$/, ""), accessToken);
+    },
+
+    linkIdentity: async (userId, secondaryUserId) => {
+      const user = getUser(userId);
+
+      user.identities = [...user.identities, toIdentity(secondaryUserId)];
+      return user.identities;
+    },
+
+    unlinkIdentity: async (userId, provider, identityUserId) => {
+      const user = getUser(userId);
+      const identities = user.identities.filter(
+        (identity) =>
+          identity.provider !== provider || identity.user_id !== identityUserId
+      );
+
+      if (identities.length === user.identities.length) {
+        throw new ManagementApiError("Identity not found", 404);
+      }
+
+      user.identities = identities;
+      return identities;
+    },
+  };
+};
+
+/**
+ * @returns {Object|null} A client configured from the environment, or null without credentials
+ */
+const createManagementClientFromEnv = (env = process.env) => {
+  if (env.AUTH0_MGMT_MOCK === "true") {
+    return createMockManagementClient({ domain: env.AUTH0_DOMAIN });
+  }
+
+  if (!env.AUTH0_MGMT_CLIENT_ID || !env.AUTH0_MGMT_CLIENT_SECRET) {
+    return null;
+  }
+
+  return createManagementClient({
+    domain: env.AUTH0_DOMAIN || "https://your-domain.auth0.com/",
+    clientId: env.AUTH0_MGMT_CLIENT_ID,
+    clientSecret: env.AUTH0_MGMT_CLIENT_SECRET,
+  });
+};
+
+module.exports = {
+  ManagementApiError,
+  createManagementClient,
+  createManagementClientFromEnv,
+  createMockManagementClient,
+};
@@ -0,0 +1,33 @@
+/**
+ * Turns rows into CSV text that spreadsheets open correctly
+ */
+
+/**
+ * Quotes a value when needed, and defuses values a spreadsheet would run as a
+ * formula (=, +, - or @ first): audit entries contain text sent by users.
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text = Array.isArray(value) ? value.join(" ") : String(value);
+
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {string[]} columns - The keys to export, in order. They're also the header row.
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+const toCsv = (columns, rows) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(toCsvValue).join(","))
+    .join("\r\n");
+
+module.exports = { toCsv };
@@ -0,0 +1,23 @@
+/**
+ * Date helpers shared by the validation and the analytics
+ *
+ * Days are handled as YYYY-MM-DD strings in UTC: they sort and compare like
+ * the dates they represent, and never shift with the server's time zone.
+ */
+
+const dayInMs = 24 * 60 * 60 * 1000;
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// Rejects impossible dates like 2024-02-30, which Date would roll over to March
+const isDay = (value) => {
+  const time = Date.parse(`${value}T00:00:00Z`);
+
+  return (
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(time) &&
+    toDay(new Date(time)) === value
+  );
+};
+
+module.exports = { dayInMs, toDay, isDay };
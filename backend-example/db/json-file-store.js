@@ -0,0 +1,114 @@
+/**
+ * A tiny database kept in one JSON file
+ *
+ * Good enough for demos and tests: the data survives restarts and needs no setup.
+ * The repositories (../repositories) only use `read` and `update`, so swapping this
+ * for a real database means writing repositories for it, not touching the routes.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { latestVersion, migrate } = require("./migrations");
+
+const defaultFile =
+  process.env.DATA_FILE || path.join(__dirname, "..", "data", "db.json");
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path of the JSON file, created when missing.
+ *   Defaults to DATA_FILE, or backend-example/data/db.json.
+ */
+const createJsonFileStore = ({ file = defaultFile } = {}) => {
+  const readFile = async () => {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      throw error;
+    }
+  };
+
+  // Write to a temporary file first, so a crash mid-write can't leave a half-written store
+  const writeFile = async (data) => {
+    const temporaryFile = `${file}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(temporaryFile, JSON.stringify(data, null, 2));
+    await fs.promises.rename(temporaryFile, file);
+  };
+
+  const read = async () => {
+    const data = await readFile();
+
+    if (data.schemaVersion !== latestVersion) {
+      throw new Error(
+        `${file} is at schema version ${
+          data.schemaVersion || 0
+        }, expected ${latestVersion}. Run the migrations first.`
+      );
+    }
+    return data;
+  };
+
+  /**
+   * Runs read-modify-write changes one at a time, so two requests
+   * saving at the same moment can't overwrite each other's changes
+   */
+  let queue = Promise.resolve();
+
+  const enqueue = (task) => {
+    const result = queue.then(task);
+
+    // Keep the queue going even when one task fails
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    file,
+
+    /**
+     * @returns {Promise<Object>} A snapshot of all the data
+     */
+    read,
+
+    /**
+     * @param {Function} change - Receives the data to modify in place, and returns the result
+     * @returns {Promise<any>} What `change` returned, once the data is saved
+     */
+    update: (change) =>
+      enqueue(async () => {
+        const data = await read();
+        const value = await change(data);
+
+        await writeFile(data);
+        return value;
+      }),
+
+    /**
+     * Brings the file up to the latest schema version
+     * @returns {Promise<Object[]>} The migrations that ran
+     */
+    migrate: () =>
+      enqueue(async () => {
+        const { data, applied } = migrate(await readFile());
+
+        if (applied.length > 0) {
+          await writeFile(data);
+        }
+        return applied;
+      }),
+
+    /**
+     * Deletes all the data. The next `migrate` starts from an empty store.
+     */
+    reset: () =>
+      enqueue(async () => {
+        await fs.promises.rm(file, { force: true });
+      }),
+  };
+};
+
+module.exports = { createJsonFileStore };
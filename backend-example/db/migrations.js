@@ -0,0 +1,94 @@
+/**
+ * Schema migrations for the JSON-file store
+ *
+ * The store remembers the last migration it ran (`schemaVersion`). When the server
+ * starts, every newer migration runs once, in order, so a data file written by an
+ * older version of this backend is upgraded instead of breaking it.
+ *
+ * To change the shape of the stored data, ADD a migration at the end of the list.
+ * Never edit one that has already shipped: some data files have already run it.
+ */
+
+const migrations = [
+  {
+    version: 1,
+    description: "Create the profiles and posts collections",
+    // Data files from before migrations existed may already have them
+    up: (data) => ({
+      ...data,
+      profiles: data.profiles || {},
+      posts: data.posts || [],
+    }),
+  },
+  {
+    version: 2,
+    description: "Count post views per day",
+    up: (data) => ({
+      ...data,
+      posts: data.posts.map((post) => ({
+        ...post,
+        viewsByDay: post.viewsByDay || {},
+      })),
+    }),
+  },
+  {
+    version: 3,
+    description:
+      "Keep a post ID sequence, so IDs of deleted posts are never reused",
+    up: (data) => ({
+      ...data,
+      sequences: {
+        posts: data.posts.reduce((maxId, post) => Math.max(maxId, post.id), 0),
+      },
+    }),
+  },
+  {
+    version: 4,
+    description: "Store the roles assigned to each user",
+    up: (data) => ({
+      ...data,
+      roleAssignments: {},
+    }),
+  },
+  {
+    version: 5,
+    description: "Keep an audit log of authenticated API requests",
+    up: (data) => ({
+      ...data,
+      auditLog: [],
+      sequences: { ...data.sequences, auditLog: 0 },
+    }),
+  },
+];
+
+const latestVersion = migrations[migrations.length - 1].version;
+
+/**
+ * @param {Object} data - The stored data, `{}` for a new store
+ * @returns {{ data: Object, applied: Object[] }} The migrated data and the migrations that ran
+ */
+const migrate = (data) => {
+  const currentVersion = data.schemaVersion || 0;
+
+  if (currentVersion > latestVersion) {
+    throw new Error(
+      `The data file is at schema version ${currentVersion}, but this backend only knows up to ${latestVersion}. Update the backend.`
+    );
+  }
+
+  const pending = migrations.filter(
+    (migration) => migration.version > currentVersion
+  );
+
+  const migratedData = pending.reduce(
+    (result, migration) => ({
+      ...migration.up(result),
+      schemaVersion: migration.version,
+    }),
+    data
+  );
+
+  return { data: migratedData, applied: pending };
+};
+
+module.exports = { migrations, latestVersion, migrate };
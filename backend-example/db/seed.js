@@ -0,0 +1,174 @@
+/**
+ * Fills the store with demo profiles and posts, so the Posts and Analytics pages
+ * have something to show right away.
+ *
+ * Usage:
+ *   node backend-example/db/seed.js                     # seed the local identity provider's test users
+ *   node backend-example/db/seed.js --user "auth0|123"  # seed your own Auth0 user instead
+ *   node backend-example/db/seed.js --reset             # delete ALL the data first
+ *
+ * Users that already have posts are skipped, so running it twice doesn't duplicate anything.
+ * Dates are relative to today: the posts and their views always fall in the last 30 days.
+ */
+
+const { dayInMs, toDay } = require("../dates");
+const { createJsonFileStore } = require("./json-file-store");
+
+// The test users of the local identity provider (mock-api/users.json)
+const defaultUsers = [
+  { userId: "auth0|mock-user", displayName: "Uma User" },
+  { userId: "auth0|mock-admin", displayName: "Ada Admin" },
+];
+
+const postTemplates = [
+  {
+    title: "Hello world",
+    content: "My first post on this app. More to come!",
+    category: "general",
+    daysAgo: 27,
+  },
+  {
+    title: "Why access tokens are not ID tokens",
+    content:
+      "ID tokens tell the app who you are. Access tokens tell an API what the app may do.",
+    category: "tech",
+    daysAgo: 20,
+  },
+  {
+    title: "Refactoring a React hook",
+    content:
+      "Memoizing functions returned by a hook avoids surprising effects.",
+    category: "programming",
+    daysAgo: 14,
+  },
+  {
+    title: "Release notes",
+    content: "Posts now support pagination, search and sorting.",
+    category: "news",
+    daysAgo: 10,
+  },
+  {
+    title: "Testing against a mock identity provider",
+    content: "A local identity provider makes login flows testable offline.",
+    category: "tech",
+    daysAgo: 7,
+  },
+  {
+    title: "Cursor or page numbers?",
+    content:
+      "Page numbers are easy to link to. Cursors stay correct when data changes.",
+    category: "programming",
+    daysAgo: 4,
+  },
+  {
+    title: "Weekly update",
+    content: "Analytics charts are live, with a date range picker.",
+    category: "news",
+    daysAgo: 1,
+  },
+];
+
+const parseArguments = (args) => {
+  const userIndex = args.indexOf("--user");
+
+  if (userIndex !== -1 && !args[userIndex + 1]) {
+    throw new Error('--user needs a user ID, e.g. --user "auth0|123"');
+  }
+
+  return {
+    reset: args.includes("--reset"),
+    userId: userIndex !== -1 ? args[userIndex + 1] : null,
+  };
+};
+
+/**
+ * A few views on most days since the post was published. Fixed numbers instead of
+ * random ones, so every run produces the same charts.
+ */
+const buildViewsByDay = (postIndex, publishedAt, today) => {
+  const viewsByDay = {};
+
+  for (let time = publishedAt; time <= today; time += dayInMs) {
+    const views = (postIndex * 3 + time / dayInMs) % 5;
+
+    if (views > 0) {
+      viewsByDay[toDay(new Date(time))] = views;
+    }
+  }
+  return viewsByDay;
+};
+
+const seedUser = (data, { userId, displayName }, today) => {
+  if (data.posts.some((post) => post.userId === userId)) {
+    return false;
+  }
+
+  data.profiles[userId] = data.profiles[userId] || {
+    id: Date.now(),
+    authId: userId,
+    displayName,
+    bio: "Seeded demo profile.",
+    preferences: { theme: "dark", notifications: true },
+    createdAt: new Date(today - 30 * dayInMs).toISOString(),
+    updatedAt: new Date(today - 30 * dayInMs).toISOString(),
+  };
+
+  postTemplates.forEach(({ daysAgo, ...post }, index) => {
+    const publishedAt = today - daysAgo * dayInMs;
+
+    data.sequences.posts += 1;
+    data.posts.push({
+      id: data.sequences.posts,
+      userId,
+      ...post,
+      viewsByDay: buildViewsByDay(index, publishedAt, today),
+      createdAt: new Date(publishedAt).toISOString(),
+      updatedAt: new Date(publishedAt).toISOString(),
+    });
+  });
+  return true;
+};
+
+const seed = async ({ store, users, reset }) => {
+  if (reset) {
+    await store.reset();
+  }
+
+  await store.migrate();
+
+  // Midnight UTC, so each post lands on a whole day
+  const today = Date.parse(toDay(new Date()));
+
+  return store.update((data) =>
+    users.map((user) => ({
+      ...user,
+      seeded: seedUser(data, user, today),
+    }))
+  );
+};
+
+const main = async () => {
+  const { reset, userId } = parseArguments(process.argv.slice(2));
+  const store = createJsonFileStore();
+  const users = userId ? [{ userId, displayName: "Demo User" }] : defaultUsers;
+
+  const results = await seed({ store, users, reset });
+
+  console.log(`🌱 Seeded ${store.file}`);
+  results.forEach(({ userId: seededUserId, seeded }) =>
+    console.log(
+      seeded
+        ? `   ${seededUserId}: ${postTemplates.length} posts added`
+        : `   ${seededUserId}: already has posts, skipped`
+    )
+  );
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`Seeding failed: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { seed };
@@ -0,0 +1,57 @@
+/**
+ * Pagination helpers shared by the list endpoints (posts, audit log)
+ *
+ * Lists take `page` and `limit` from the query string, and describe the page they
+ * return in the same `pagination` object, so the React app pages through them alike.
+ */
+
+/**
+ * Reads `page` and `limit` out of the query string, with defaults for what's missing
+ * @param {Object} input - The query string
+ * @param {Object} fields - Collects a message for each invalid parameter
+ * @param {{ defaultLimit: number, maxLimit: number }} limits
+ * @returns {{ page: number, limit: number }}
+ */
+const readPageQuery = (input, fields, { defaultLimit, maxLimit }) => {
+  const toPositiveInteger = (name, value, defaultValue) => {
+    if (value === undefined || value === "") {
+      return defaultValue;
+    }
+
+    const number = Number(value);
+
+    if (!Number.isInteger(number) || number < 1) {
+      fields[name] = `${name} must be a positive whole number.`;
+    }
+    return number;
+  };
+
+  const page = toPositiveInteger("page", input.page, 1);
+  const limit = toPositiveInteger("limit", input.limit, defaultLimit);
+
+  if (!fields.limit && limit > maxLimit) {
+    fields.limit = `limit must be at most ${maxLimit}.`;
+  }
+
+  return { page, limit };
+};
+
+/**
+ * @param {{ page: number, limit: number }} query
+ * @param {number} total - How many items match, on all pages
+ * @returns {{ page, limit, total, totalPages, hasNextPage, hasPreviousPage }}
+ */
+const toPagination = ({ page, limit }, total) => {
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1,
+  };
+};
+
+module.exports = { readPageQuery, toPagination };
@@ -0,0 +1,69 @@
+/**
+ * Analytics, computed from the stored posts every time they're asked for
+ *
+ * With a SQL database, each number below would be a GROUP BY query over the date range.
+ */
+
+const { dayInMs, toDay } = require("../dates");
+
+const createAnalyticsRepository = (store) => ({
+  /**
+   * @param {Object} range - `{ from, to }` as YYYY-MM-DD days, both included
+   */
+  getUserAnalytics: async (userId, { from, to }) => {
+    const data = await store.read();
+    const isInRange = (day) => day >= from && day <= to;
+
+    // One entry per day, including days without any activity, so charts have no gaps
+    const days = new Map();
+    for (let time = Date.parse(from); time <= Date.parse(to); time += dayInMs) {
+      const date = toDay(new Date(time));
+      days.set(date, { date, posts: 0, views: 0 });
+    }
+
+    const categories = new Map();
+    let totalPosts = 0;
+    let totalViews = 0;
+
+    data.posts
+      .filter((post) => post.userId === userId)
+      .forEach((post) => {
+        const category = categories.get(post.category) || {
+          category: post.category,
+          posts: 0,
+          views: 0,
+        };
+        const createdDay = post.createdAt.slice(0, 10);
+
+        if (isInRange(createdDay)) {
+          totalPosts += 1;
+          category.posts += 1;
+          days.get(createdDay).posts += 1;
+        }
+
+        Object.entries(post.viewsByDay).forEach(([day, views]) => {
+          if (isInRange(day)) {
+            totalViews += views;
+            category.views += views;
+            days.get(day).views += views;
+          }
+        });
+
+        categories.set(post.category, category);
+      });
+
+    return {
+      userId,
+      range: { from, to },
+      totalPosts,
+      totalViews,
+      // Most posts first, then most views
+      popularCategories: [...categories.values()]
+        .filter((category) => category.posts > 0 || category.views > 0)
+        .sort((a, b) => b.posts - a.posts || b.views - a.views),
+      activity: [...days.values()],
+    };
+  },
+});
+
+module.exports = { createAnalyticsRepository };
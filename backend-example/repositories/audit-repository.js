@@ -0,0 +1,54 @@
+/**
+ * The audit log: one entry per authenticated API request, newest last in the store
+ */
+
+// Older entries are dropped beyond this, so the data file doesn't grow forever
+const maxEntries = 5000;
+
+const matchesFilters = (entry, { userId, route, from, to }) =>
+  (!userId || entry.userId === userId) &&
+  (!route || entry.route.includes(route)) &&
+  // Timestamps are ISO strings: their first 10 characters are the UTC day
+  (!from || entry.timestamp.slice(0, 10) >= from) &&
+  (!to || entry.timestamp.slice(0, 10) <= to);
+
+const findMatchingEntries = (data, filters) =>
+  data.auditLog.filter((entry) => matchesFilters(entry, filters)).reverse();
+
+const createAuditRepository = (store) => ({
+  /**
+   * @param {Object} entry - `{ userId, method, route, path, status, scopes, timestamp }`
+   */
+  record: (entry) =>
+    store.update((data) => {
+      data.sequences.auditLog += 1;
+      data.auditLog.push({ id: data.sequences.auditLog, ...entry });
+
+      if (data.auditLog.length > maxEntries) {
+        data.auditLog.splice(0, data.auditLog.length - maxEntries);
+      }
+    }),
+
+  /**
+   * Every matching entry, newest first
+   * @param {Object} [filters] - `{ userId, route, from, to }`, all optional. `route` matches
+   *   part of the route, `from` and `to` are YYYY-MM-DD UTC days, both included.
+   */
+  findAll: async (filters = {}) =>
+    findMatchingEntries(await store.read(), filters),
+
+  /**
+   * One page of matching entries, newest first
+   * @returns {Promise<{ entries: Object[], total: number }>} `total` counts every matching entry
+   */
+  list: async ({ page = 1, limit = 25, ...filters } = {}) => {
+    const matchingEntries = findMatchingEntries(await store.read(), filters);
+
+    return {
+      entries: matchingEntries.slice((page - 1) * limit, page * limit),
+      total: matchingEntries.length,
+    };
+  },
+});
+
+module.exports = { createAuditRepository };
@@ -0,0 +1,28 @@
+/**
+ * Every read and write of the backend's data goes through these repositories.
+ *
+ * The routes never touch the store directly. To move to a real database (SQLite,
+ * PostgreSQL, MongoDB...), write repositories with the same functions on top of it
+ * and return them from here: server.js doesn't change.
+ */
+
+const { createAnalyticsRepository } = require("./analytics-repository");
+const { createAuditRepository } = require("./audit-repository");
+const { createPostRepository } = require("./post-repository");
+const { createProfileRepository } = require("./profile-repository");
+const { createRoleRepository } = require("./role-repository");
+const { createUserRepository } = require("./user-repository");
+
+/**
+ * @param {Object} store - A store with `read()` and `update(change)`, see ../db/json-file-store.js
+ */
+const createRepositories = (store) => ({
+  profiles: createProfileRepository(store),
+  posts: createPostRepository(store),
+  analytics: createAnalyticsRepository(store),
+  audit: createAuditRepository(store),
+  roles: createRoleRepository(store),
+  users: createUserRepository(store),
+});
+
+module.exports = { createRepositories };
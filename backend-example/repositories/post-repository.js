@@ -0,0 +1,131 @@
+/**
+ * Posts, always scoped to their author: a user can never read or change
+ * someone else's post through these functions.
+ */
+
+const { toDay } = require("../dates");
+
+// IDs break ties, so posts created in the same millisecond keep a stable order across pages
+const sortOrders = {
+  newest: (a, b) => b.createdAt.localeCompare(a.createdAt) || b.id - a.id,
+  oldest: (a, b) => a.createdAt.localeCompare(b.createdAt) || a.id - b.id,
+  updated: (a, b) => b.updatedAt.localeCompare(a.updatedAt) || b.id - a.id,
+  title: (a, b) =>
+    a.title.localeCompare(b.title, undefined, { sensitivity: "base" }) ||
+    a.id - b.id,
+};
+
+// Route params are strings, stored IDs are numbers
+const findPostIndex = (data, userId, postId) =>
+  data.posts.findIndex(
+    (post) => String(post.id) === String(postId) && post.userId === userId
+  );
+
+const createPostRepository = (store) => ({
+  /**
+   * One page of the user's posts
+   * @returns {Promise<{ posts: Object[], total: number }>} `total` counts every matching post
+   */
+  list: async (
+    userId,
+    { page = 1, limit = 10, category, search, sort = "newest" } = {}
+  ) => {
+    const data = await store.read();
+    const searchText = search ? search.toLowerCase() : "";
+
+    const matchingPosts = data.posts
+      .filter(
+        (post) =>
+          post.userId === userId &&
+          (!category || post.category === category) &&
+          (!searchText ||
+            post.title.toLowerCase().includes(searchText) ||
+            post.content.toLowerCase().includes(searchText))
+      )
+      .sort(sortOrders[sort]);
+
+    return {
+      posts: matchingPosts.slice((page - 1) * limit, page * limit),
+      total: matchingPosts.length,
+    };
+  },
+
+  /**
+   * @param {Object} post - Validated `{ title, content, category }`
+   */
+  create: (userId, { title, content, category }) =>
+    store.update((data) => {
+      const now = new Date().toISOString();
+
+      data.sequences.posts += 1;
+
+      const post = {
+        id: data.sequences.posts,
+        userId,
+        title,
+        content,
+        category,
+        viewsByDay: {},
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      data.posts.push(post);
+      return post;
+    }),
+
+  /**
+   * @returns {Promise<Object|null>} The updated post, null when the user has no such post
+   */
+  update: (userId, postId, changes) =>
+    store.update((data) => {
+      const index = findPostIndex(data, userId, postId);
+
+      if (index === -1) {
+        return null;
+      }
+
+      data.posts[index] = {
+        ...data.posts[index],
+        ...changes,
+        updatedAt: new Date().toISOString(),
+      };
+      return data.posts[index];
+    }),
+
+  /**
+   * @returns {Promise<boolean>} false when the user has no such post
+   */
+  remove: (userId, postId) =>
+    store.update((data) => {
+      const index = findPostIndex(data, userId, postId);
+
+      if (index === -1) {
+        return false;
+      }
+
+      data.posts.splice(index, 1);
+      return true;
+    }),
+
+  /**
+   * Counts one view of the post, today
+   * @returns {Promise<Object|null>} The post, null when the user has no such post
+   */
+  recordView: (userId, postId) =>
+    store.update((data) => {
+      const index = findPostIndex(data, userId, postId);
+
+      if (index === -1) {
+        return null;
+      }
+
+      const post = data.posts[index];
+      const today = toDay(new Date());
+
+      post.viewsByDay[today] = (post.viewsByDay[today] || 0) + 1;
+      return post;
+    }),
+});
+
+module.exports = { createPostRepository };
@@ -0,0 +1,55 @@
+/**
+ * Profiles: the app data your backend keeps for each Auth0 user, keyed by their `sub`
+ */
+
+const { getRecord, setRecord } = require("./records");
+
+const defaultProfile = (userId) => ({
+  id: Date.now(),
+  authId: userId,
+  displayName: "New User",
+  bio: "",
+  preferences: { theme: "light", notifications: true },
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+});
+
+const createProfileRepository = (store) => ({
+  /**
+   * @returns {Promise<Object|null>}
+   */
+  findByUserId: async (userId) => {
+    const data = await store.read();
+    return getRecord(data.profiles, userId) || null;
+  },
+
+  /**
+   * Creates a profile with default values, unless the user already has one
+   */
+  createDefault: (userId) =>
+    store.update((data) => {
+      // Another request may have created it while this one was waiting
+      return (
+        getRecord(data.profiles, userId) ||
+        setRecord(data.profiles, userId, defaultProfile(userId))
+      );
+    }),
+
+  /**
+   * @param {Object} changes - Validated fields to change. `preferences` are merged.
+   */
+  update: (userId, changes) =>
+    store.update((data) => {
+      const profile =
+        getRecord(data.profiles, userId) || defaultProfile(userId);
+
+      return setRecord(data.profiles, userId, {
+        ...profile,
+        ...changes,
+        preferences: { ...profile.preferences, ...changes.preferences },
+        updatedAt: new Date().toISOString(),
+      });
+    }),
+});
+
+module.exports = { createProfileRepository };
@@ -0,0 +1,28 @@
+/**
+ * Read and write the maps of the data file that are keyed by user ID (profiles, roleAssignments)
+ *
+ * User IDs can come from URLs, and some keys of a plain object aren't data: "constructor"
+ * reads Object.prototype.constructor, and writing "__proto__" changes the object's prototype.
+ * So only the object's own keys are read, and keys are always written as own properties.
+ */
+
+/**
+ * @returns {*} The value stored under `key`, or undefined
+ */
+const getRecord = (records, key) =>
+  Object.prototype.hasOwnProperty.call(records, key) ? records[key] : undefined;
+
+/**
+ * @returns {*} The value that was stored
+ */
+const setRecord = (records, key, value) => {
+  Object.defineProperty(records, key, {
+    value,
+    enumerable: true,
+    writable: true,
+    configurable: true,
+  });
+  return value;
+};
+
+module.exports = { getRecord, setRecord };
@@ -0,0 +1,48 @@
+/**
+ * Role assignments: which of the roles in ../roles.js each user has
+ */
+
+const { getRecord, setRecord } = require("./records");
+
+const createRoleRepository = (store) => ({
+  /**
+   * @returns {Promise<string[]>}
+   */
+  getUserRoles: async (userId) => {
+    const data = await store.read();
+    return getRecord(data.roleAssignments, userId) || [];
+  },
+
+  /**
+   * Assigning a role the user already has changes nothing
+   * @returns {Promise<string[]>} The user's roles after the change
+   */
+  assign: (userId, role) =>
+    store.update((data) => {
+      const userRoles = getRecord(data.roleAssignments, userId) || [];
+
+      return userRoles.includes(role)
+        ? userRoles
+        : setRecord(data.roleAssignments, userId, [...userRoles, role].sort());
+    }),
+
+  /**
+   * Revoking a role the user doesn't have changes nothing
+   * @returns {Promise<string[]>} The user's roles after the change
+   */
+  revoke: (userId, role) =>
+    store.update((data) => {
+      const userRoles = (getRecord(data.roleAssignments, userId) || []).filter(
+        (userRole) => userRole !== role
+      );
+
+      if (userRoles.length > 0) {
+        setRecord(data.roleAssignments, userId, userRoles);
+      } else {
+        delete data.roleAssignments[userId];
+      }
+      return userRoles;
+    }),
+});
+
+module.exports = { createRoleRepository };
@@ -0,0 +1,52 @@
+/**
+ * Users known to this backend: everyone who has a profile, posts or roles here
+ *
+ * Auth0 remains the source of truth for identities. This backend only knows the
+ * users who have used it, and what it stores about them.
+ */
+
+const { getRolePermissions } = require("../roles");
+const { getRecord } = require("./records");
+
+const toUser = (data, userId) => {
+  const profile = getRecord(data.profiles, userId);
+  const roles = getRecord(data.roleAssignments, userId) || [];
+
+  return {
+    userId,
+    displayName: profile ? profile.displayName : null,
+    roles,
+    permissions: getRolePermissions(roles),
+    postCount: data.posts.filter((post) => post.userId === userId).length,
+    createdAt: profile ? profile.createdAt : null,
+  };
+};
+
+const createUserRepository = (store) => ({
+  /**
+   * @returns {Promise<Object[]>} Sorted by display name, users without a profile last
+   */
+  list: async () => {
+    const data = await store.read();
+    const userIds = new Set([
+      ...Object.keys(data.profiles),
+      ...Object.keys(data.roleAssignments),
+      ...data.posts.map((post) => post.userId),
+    ]);
+
+    return [...userIds]
+      .map((userId) => toUser(data, userId))
+      .sort(
+        (a, b) =>
+          (a.displayName === null) - (b.displayName === null) ||
+          (a.displayName || a.userId).localeCompare(b.displayName || b.userId)
+      );
+  },
+
+  /**
+   * @returns {Promise<Object>} The user, even if this backend has nothing stored about them yet
+   */
+  findById: async (userId) => toUser(await store.read(), userId),
+});
+
+module.exports = { createUserRepository };
@@ -0,0 +1,38 @@
+/**
+ * The roles this backend can assign, and the permissions each one grants
+ *
+ * Roles assigned here are stored by this backend, not in Auth0. The backend adds
+ * their permissions to the ones in the access token when it checks a request
+ * (see requireScope in server.js).
+ */
+
+const roles = {
+  admin: {
+    description: "Manages users and their roles, and reads the audit log",
+    permissions: ["manage:users", "read:admin-messages", "read:audit-log"],
+  },
+  author: {
+    description: "Reads and writes posts",
+    permissions: ["read:posts", "write:posts"],
+  },
+  analyst: {
+    description: "Reads the analytics",
+    permissions: ["read:analytics"],
+  },
+};
+
+const roleNames = Object.keys(roles);
+
+/**
+ * @param {string[]} assignedRoles
+ * @returns {string[]} Every permission granted by these roles, without duplicates
+ */
+const getRolePermissions = (assignedRoles) => [
+  ...new Set(
+    assignedRoles.flatMap((role) =>
+      roles[role] ? roles[role].permissions : []
+    )
+  ),
+];
+
+module.exports = { roles, roleNames, getRolePermissions };
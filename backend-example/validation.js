@@ -0,0 +1,278 @@
+/**
+ * Validation of what clients send to the backend: request bodies and query strings
+ *
+ * Each validator returns what it read, and `fields`: null when everything is valid,
+ * otherwise an object that maps each invalid field to a message, for the routes to send back.
+ */
+
+const { dayInMs, isDay, toDay } = require("./dates");
+const { readPageQuery } = require("./pagination");
+
+/**
+ * The React app checks the same rules before saving (src/components/custom-profile.js),
+ * but the backend must never trust the client: it validates everything again.
+ */
+const profileLimits = {
+  displayNameMaxLength: 50,
+  bioMaxLength: 280,
+  themes: ["light", "dark"],
+};
+
+/**
+ * Picks the editable fields out of a request body and checks them
+ * @returns {{ changes: Object, fields: Object|null }} `fields` maps each invalid field to a message
+ */
+function validateProfileChanges(body, { partial }) {
+  const input = body && typeof body === "object" ? body : {};
+  const preferences =
+    input.preferences && typeof input.preferences === "object"
+      ? input.preferences
+      : {};
+  const changes = {};
+  const fields = {};
+
+  const check = (name, value, validate) => {
+    if (value === undefined) {
+      if (!partial) {
+        fields[name] = `${name} is required.`;
+      }
+      return;
+    }
+
+    const problem = validate(value);
+
+    if (problem) {
+      fields[name] = problem;
+    }
+  };
+
+  check("displayName", input.displayName, (value) => {
+    if (typeof value !== "string" || !value.trim()) {
+      return "Display name can't be empty.";
+    }
+    if (value.trim().length > profileLimits.displayNameMaxLength) {
+      return `Display name must be at most ${profileLimits.displayNameMaxLength} characters.`;
+    }
+    changes.displayName = value.trim();
+    return null;
+  });
+
+  check("bio", input.bio, (value) => {
+    if (typeof value !== "string") {
+      return "Bio must be text.";
+    }
+    if (value.length > profileLimits.bioMaxLength) {
+      return `Bio must be at most ${profileLimits.bioMaxLength} characters.`;
+    }
+    changes.bio = value;
+    return null;
+  });
+
+  check("preferences.theme", preferences.theme, (value) => {
+    if (!profileLimits.themes.includes(value)) {
+      return `Theme must be one of: ${profileLimits.themes.join(", ")}.`;
+    }
+    changes.preferences = { ...changes.preferences, theme: value };
+    return null;
+  });
+
+  check("preferences.notifications", preferences.notifications, (value) => {
+    if (typeof value !== "boolean") {
+      return "Notifications must be true or false.";
+    }
+    changes.preferences = { ...changes.preferences, notifications: value };
+    return null;
+  });
+
+  return {
+    changes,
+    fields: Object.keys(fields).length > 0 ? fields : null,
+  };
+}
+
+/**
+ * Same rules as the post form in the React app (src/components/posts/post-form.js)
+ */
+const postLimits = {
+  titleMaxLength: 120,
+  contentMaxLength: 5000,
+  categories: ["general", "tech", "programming", "news"],
+};
+
+/**
+ * Checks a post sent by the client and keeps only the fields it may set
+ * @returns {{ post: Object, fields: Object|null }} `fields` maps each invalid field to a message
+ */
+function validatePost(body) {
+  const input = body && typeof body === "object" ? body : {};
+  const title = typeof input.title === "string" ? input.title.trim() : "";
+  const content = typeof input.content === "string" ? input.content.trim() : "";
+  const category =
+    input.category === undefined || input.category === ""
+      ? postLimits.categories[0]
+      : input.category;
+  const fields = {};
+
+  if (!title) {
+    fields.title = "Title is required.";
+  } else if (title.length > postLimits.titleMaxLength) {
+    fields.title = `Title must be at most ${postLimits.titleMaxLength} characters.`;
+  }
+
+  if (!content) {
+    fields.content = "Content is required.";
+  } else if (content.length > postLimits.contentMaxLength) {
+    fields.content = `Content must be at most ${postLimits.contentMaxLength} characters.`;
+  }
+
+  if (!postLimits.categories.includes(category)) {
+    fields.category = `Category must be one of: ${postLimits.categories.join(
+      ", "
+    )}.`;
+  }
+
+  return {
+    post: { title, content, category },
+    fields: Object.keys(fields).length > 0 ? fields : null,
+  };
+}
+
+const postQueryLimits = {
+  defaultLimit: 10,
+  maxLimit: 50,
+  sorts: ["newest", "oldest", "updated", "title"],
+};
+
+/**
+ * Reads the list options out of the query string, with defaults for what's missing
+ * @returns {{ query: Object, fields: Object|null }} `fields` maps each invalid parameter to a message
+ */
+function validatePostQuery(input) {
+  const fields = {};
+
+  const { page, limit } = readPageQuery(input, fields, postQueryLimits);
+  const category = input.category || "";
+  const search = typeof input.q === "string" ? input.q.trim() : "";
+  const sort = input.sort || postQueryLimits.sorts[0];
+
+  if (category && !postLimits.categories.includes(category)) {
+    fields.category = `category must be one of: ${postLimits.categories.join(
+      ", "
+    )}.`;
+  }
+
+  if (!postQueryLimits.sorts.includes(sort)) {
+    fields.sort = `sort must be one of: ${postQueryLimits.sorts.join(", ")}.`;
+  }
+
+  return {
+    query: { page, limit, category, search, sort },
+    fields: Object.keys(fields).length > 0 ? fields : null,
+  };
+}
+
+const dateRangeLimits = {
+  defaultDays: 30,
+  maxDays: 366,
+};
+
+/**
+ * Reads the analytics date range out of the query string
+ * @returns {{ range: { from: string, to: string }, fields: Object|null }}
+ */
+function validateDateRange(input) {
+  const fields = {};
+  const to = input.to || toDay(new Date());
+
+  if (!isDay(to)) {
+    fields.to = "to must be a date like 2024-01-31.";
+  }
+
+  const from =
+    input.from ||
+    (fields.to
+      ? to
+      : toDay(
+          new Date(Date.parse(to) - (dateRangeLimits.defaultDays - 1) * dayInMs)
+        ));
+
+  if (!isDay(from)) {
+    fields.from = "from must be a date like 2024-01-01.";
+  }
+
+  if (!fields.from && !fields.to) {
+    const days = (Date.parse(to) - Date.parse(from)) / dayInMs + 1;
+
+    if (days < 1) {
+      fields.from = "from must be on or before to.";
+    } else if (days > dateRangeLimits.maxDays) {
+      fields.from = `The range can't be longer than ${dateRangeLimits.maxDays} days.`;
+    }
+  }
+
+  return {
+    range: { from, to },
+    fields: Object.keys(fields).length > 0 ? fields : null,
+  };
+}
+
+const auditLimits = {
+  defaultLimit: 25,
+  maxLimit: 100,
+  formats: ["csv", "json"],
+  csvColumns: [
+    "id",
+    "timestamp",
+    "userId",
+    "method",
+    "route",
+    "path",
+    "status",
+    "scopes",
+  ],
+};
+
+/**
+ * Reads the audit log filters, and the format of an export, out of the query string
+ * @returns {{ query: Object, fields: Object|null }}
+ */
+function validateAuditQuery(input) {
+  const fields = {};
+
+  const { page, limit } = readPageQuery(input, fields, auditLimits);
+  const userId = typeof input.userId === "string" ? input.userId.trim() : "";
+  const route = typeof input.route === "string" ? input.route.trim() : "";
+  const from = input.from || "";
+  const to = input.to || "";
+  const format = input.format || auditLimits.formats[0];
+
+  if (from && !isDay(from)) {
+    fields.from = "from must be a date like 2024-01-01.";
+  }
+
+  if (to && !isDay(to)) {
+    fields.to = "to must be a date like 2024-01-31.";
+  }
+
+  if (from && to && !fields.from && !fields.to && from > to) {
+    fields.from = "from must be on or before to.";
+  }
+
+  if (!auditLimits.formats.includes(format)) {
+    fields.format = `format must be one of: ${auditLimits.formats.join(", ")}.`;
+  }
+
+  return {
+    query: { page, limit, userId, route, from, to, format },
+    fields: Object.keys(fields).length > 0 ? fields : null,
+  };
+}
+
+module.exports = {
+  auditLimits,
+  validateProfileChanges,
+  validatePost,
+  validatePostQuery,
+  validateDateRange,
+  validateAuditQuery,
+};
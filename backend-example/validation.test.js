@@ -0,0 +1,266 @@
+/**
+ * Run with: npm run test:server
+ */
+
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const {
+  validateAuditQuery,
+  validateDateRange,
+  validatePost,
+  validatePostQuery,
+  validateProfileChanges,
+} = require("./validation");
+
+describe("validateProfileChanges", () => {
+  it("keeps the editable fields, trimming the display name", () => {
+    const { changes, fields } = validateProfileChanges(
+      {
+        displayName: "  Alice  ",
+        bio: "Hello",
+        preferences: { theme: "dark", notifications: false },
+        role: "admin",
+      },
+      { partial: false }
+    );
+
+    assert.equal(fields, null);
+    assert.deepEqual(changes, {
+      displayName: "Alice",
+      bio: "Hello",
+      preferences: { theme: "dark", notifications: false },
+    });
+  });
+
+  it("only checks the fields sent when partial", () => {
+    const { changes, fields } = validateProfileChanges(
+      { bio: "" },
+      { partial: true }
+    );
+
+    assert.equal(fields, null);
+    assert.deepEqual(changes, { bio: "" });
+  });
+
+  it("requires every field when not partial", () => {
+    const { fields } = validateProfileChanges(
+      { bio: "Hello" },
+      { partial: false }
+    );
+
+    assert.deepEqual(Object.keys(fields).sort(), [
+      "displayName",
+      "preferences.notifications",
+      "preferences.theme",
+    ]);
+  });
+
+  it("maps each invalid field to a message", () => {
+    const { changes, fields } = validateProfileChanges(
+      {
+        displayName: "   ",
+        bio: "x".repeat(281),
+        preferences: { theme: "blue", notifications: "yes" },
+      },
+      { partial: true }
+    );
+
+    assert.deepEqual(changes, {});
+    assert.deepEqual(fields, {
+      displayName: "Display name can't be empty.",
+      bio: "Bio must be at most 280 characters.",
+      "preferences.theme": "Theme must be one of: light, dark.",
+      "preferences.notifications": "Notifications must be true or false.",
+    });
+  });
+
+  it("treats a body that isn't an object as empty", () => {
+    const { fields } = validateProfileChanges(null, { partial: false });
+
+    assert.equal(fields.displayName, "displayName is required.");
+  });
+});
+
+describe("validatePost", () => {
+  it("keeps the title, content and category, trimmed", () => {
+    const { post, fields } = validatePost({
+      title: "  Hello  ",
+      content: " World ",
+      category: "tech",
+      authId: "auth0|someone-else",
+    });
+
+    assert.equal(fields, null);
+    assert.deepEqual(post, {
+      title: "Hello",
+      content: "World",
+      category: "tech",
+    });
+  });
+
+  it("defaults the category to general", () => {
+    assert.equal(
+      validatePost({ title: "Hello", content: "World", category: "" }).post
+        .category,
+      "general"
+    );
+  });
+
+  it("maps each invalid field to a message", () => {
+    assert.deepEqual(
+      validatePost({ title: " ", content: 42, category: "gossip" }).fields,
+      {
+        title: "Title is required.",
+        content: "Content is required.",
+        category: "Category must be one of: general, tech, programming, news.",
+      }
+    );
+
+    assert.deepEqual(
+      validatePost({ title: "x".repeat(121), content: "x".repeat(5001) })
+        .fields,
+      {
+        title: "Title must be at most 120 characters.",
+        content: "Content must be at most 5000 characters.",
+      }
+    );
+  });
+});
+
+describe("validatePostQuery", () => {
+  it("defaults to the first page of the newest posts", () => {
+    assert.deepEqual(validatePostQuery({}), {
+      query: { page: 1, limit: 10, category: "", search: "", sort: "newest" },
+      fields: null,
+    });
+  });
+
+  it("reads the page, filters and sort from the query string", () => {
+    assert.deepEqual(
+      validatePostQuery({
+        page: "3",
+        limit: "50",
+        category: "news",
+        q: " auth ",
+        sort: "title",
+      }).query,
+      { page: 3, limit: 50, category: "news", search: "auth", sort: "title" }
+    );
+  });
+
+  it("maps each invalid parameter to a message", () => {
+    assert.deepEqual(
+      validatePostQuery({
+        page: "0",
+        limit: "51",
+        category: "gossip",
+        sort: "random",
+      }).fields,
+      {
+        page: "page must be a positive whole number.",
+        limit: "limit must be at most 50.",
+        category: "category must be one of: general, tech, programming, news.",
+        sort: "sort must be one of: newest, oldest, updated, title.",
+      }
+    );
+  });
+});
+
+describe("validateDateRange", () => {
+  it("defaults to the last 30 days, today included", () => {
+    const { range, fields } = validateDateRange({ to: "2024-03-01" });
+
+    assert.equal(fields, null);
+    assert.deepEqual(range, { from: "2024-02-01", to: "2024-03-01" });
+  });
+
+  it("accepts a single day, and ranges of up to 366 days", () => {
+    assert.equal(
+      validateDateRange({ from: "2024-01-01", to: "2024-01-01" }).fields,
+      null
+    );
+    assert.equal(
+      validateDateRange({ from: "2024-01-01", to: "2024-12-31" }).fields,
+      null
+    );
+  });
+
+  it("refuses impossible dates, reversed and longer ranges", () => {
+    assert.deepEqual(
+      validateDateRange({ from: "2024-02-30", to: "tomorrow" }).fields,
+      {
+        from: "from must be a date like 2024-01-01.",
+        to: "to must be a date like 2024-01-31.",
+      }
+    );
+    assert.deepEqual(
+      validateDateRange({ from: "2024-02-02", to: "2024-02-01" }).fields,
+      { from: "from must be on or before to." }
+    );
+    assert.deepEqual(
+      validateDateRange({ from: "2023-01-01", to: "2024-01-02" }).fields,
+      { from: "The range can't be longer than 366 days." }
+    );
+  });
+});
+
+describe("validateAuditQuery", () => {
+  it("defaults to the first page of everything, exported as CSV", () => {
+    assert.deepEqual(validateAuditQuery({}), {
+      query: {
+        page: 1,
+        limit: 25,
+        userId: "",
+        route: "",
+        from: "",
+        to: "",
+        format: "csv",
+      },
+      fields: null,
+    });
+  });
+
+  it("reads the filters from the query string", () => {
+    assert.deepEqual(
+      validateAuditQuery({
+        page: "2",
+        limit: "100",
+        userId: " auth0|123 ",
+        route: "/api/posts",
+        from: "2024-01-01",
+        to: "2024-01-31",
+        format: "json",
+      }).query,
+      {
+        page: 2,
+        limit: 100,
+        userId: "auth0|123",
+        route: "/api/posts",
+        from: "2024-01-01",
+        to: "2024-01-31",
+        format: "json",
+      }
+    );
+  });
+
+  it("maps each invalid parameter to a message", () => {
+    assert.deepEqual(
+      validateAuditQuery({
+        limit: "101",
+        from: "2024-13-01",
+        to: "yesterday",
+        format: "xml",
+      }).fields,
+      {
+        limit: "limit must be at most 100.",
+        from: "from must be a date like 2024-01-01.",
+        to: "to must be a date like 2024-01-31.",
+        format: "format must be one of: csv, json.",
+      }
+    );
+    assert.deepEqual(
+      validateAuditQuery({ from: "2024-02-01", to: "2024-01-31" }).fields,
+      { from: "from must be on or before to." }
+    );
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Settings shared by the mock API server, the local identity provider and the token tool.
+ * Every value can be overridden with an environment variable.
+ */
+
+const port = Number(process.env.MOCK_API_PORT) || 6060;
+const idpPort = Number(process.env.MOCK_IDP_PORT) || 6061;
+
+module.exports = {
+  port,
+  idpPort,
+  // Must match REACT_APP_AUTH0_AUDIENCE in the React app
+  audience:
+    process.env.MOCK_API_AUDIENCE ||
+    process.env.REACT_APP_AUTH0_AUDIENCE ||
+    "https://hello-world.example.com",
+  // Tokens are issued by the local identity provider (npm run idp)
+  issuer: process.env.MOCK_API_ISSUER || `http://localhost:${idpPort}/`,
+  allowedOrigin: process.env.MOCK_API_CORS_ORIGIN || "*",
+  // Must match REACT_APP_AUTH0_CLIENT_ID in the React app
+  clientId: process.env.MOCK_IDP_CLIENT_ID || "mock-client-id",
+  // Must match REACT_APP_AUTH0_LINKING_CLIENT_ID: the app logs in with it to link accounts
+  linkingClientId:
+    process.env.MOCK_IDP_LINKING_CLIENT_ID || "mock-linking-client-id",
+  // Must match REACT_APP_AUTH0_ROLES_CLAIM in the React app
+  rolesClaim:
+    process.env.MOCK_IDP_ROLES_CLAIM ||
+    process.env.REACT_APP_AUTH0_ROLES_CLAIM ||
+    "https://hello-world.example.com/roles",
+  // Prefix of the auth_time and amr claims copied into access tokens.
+  // Must match AUTH0_CLAIMS_NAMESPACE in backend-example/server.js
+  claimsNamespace:
+    process.env.MOCK_IDP_CLAIMS_NAMESPACE || "https://hello-world.example.com",
+  usersFile: process.env.MOCK_IDP_USERS || `${__dirname}/users.json`,
+};
@@ -0,0 +1,111 @@
+/**
+ * Tiny helpers shared by the mock servers, so they don't need Express
+ */
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const sendHtml = (res, status, html, headers = {}) => {
+  res.writeHead(status, {
+    "Content-Type": "text/html; charset=utf-8",
+    ...headers,
+  });
+  res.end(html);
+};
+
+const redirect = (res, location, headers = {}) => {
+  res.writeHead(302, { Location: location, ...headers });
+  res.end();
+};
+
+/**
+ * The request itself is wrong (e.g. a body that isn't valid JSON): answered with a 400
+ */
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BadRequestError";
+  }
+}
+
+/**
+ * Read a JSON or form-urlencoded request body into a plain object.
+ * text/plain bodies are read as JSON too: browsers send beacons that way to skip CORS preflights.
+ * Rejects with a BadRequestError when the body can't be parsed.
+ */
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("error", reject);
+    req.on("end", () => {
+      if (!body) {
+        resolve({});
+        return;
+      }
+
+      try {
+        resolve(
+          /application\/json|text\/plain/.test(req.headers["content-type"])
+            ? JSON.parse(body)
+            : Object.fromEntries(new URLSearchParams(body))
+        );
+      } catch (error) {
+        reject(new BadRequestError("The request body isn't valid JSON"));
+      }
+    });
+  });
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+
+/**
+ * Log every request once it has been answered, like json-server did
+ */
+const logRequests = (handler) => (req, res) => {
+  res.on("finish", () => {
+    console.log(`${req.method} ${req.url} ${res.statusCode}`);
+  });
+
+  Promise.resolve()
+    .then(() => handler(req, res))
+    .catch((error) => {
+      if (error instanceof BadRequestError) {
+        if (!res.headersSent) {
+          sendJson(res, 400, { error: "bad_request", message: error.message });
+        }
+        return;
+      }
+
+      console.error("Error handling request:", error);
+
+      if (!res.headersSent) {
+        sendJson(res, 500, { message: "Internal server error" });
+      }
+    });
+};
+
+module.exports = {
+  BadRequestError,
+  escapeHtml,
+  logRequests,
+  readBody,
+  redirect,
+  sendHtml,
+  sendJson,
+};
@@ -0,0 +1,664 @@
+/**
+ * Local fake Auth0 identity provider for offline development and end-to-end tests
+ *
+ * Implements just enough of Auth0's OIDC endpoints for the Auth0 React SDK to run the
+ * whole login → /callback → /profile flow without a real tenant:
+ * - GET  /authorize              → pick a test user, returns an authorization code
+ * - POST /oauth/token            → exchanges the code (PKCE) or a refresh token for tokens
+ * - GET  /.well-known/jwks.json  → public key used to sign tokens (shared with the mock API)
+ * - GET  /userinfo               → profile of the user the access token belongs to
+ * - GET  /v2/logout              → clears the session and goes back to the app
+ *
+ * Test users and their roles live in mock-api/users.json. Access tokens carry the
+ * `permissions` of the user's roles, so the mock API (npm run api) enforces them.
+ *
+ * Point the React app at it with `npm run start:offline`, or by setting
+ * REACT_APP_AUTH0_DOMAIN=http://localhost:6061 and REACT_APP_AUTH0_CLIENT_ID=mock-client-id.
+ *
+ * NEVER use this outside your machine: anyone can log in as anyone, no password asked.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const {
+  audience: defaultAudience,
+  claimsNamespace,
+  clientId,
+  idpPort,
+  issuer,
+  linkingClientId,
+  rolesClaim,
+  usersFile,
+} = require("./config");
+const {
+  escapeHtml,
+  logRequests,
+  readBody,
+  redirect,
+  sendHtml,
+  sendJson,
+} = require("./http");
+const { InvalidTokenError, verifyJwt } = require("./jwt");
+const { getJwks, signJwt } = require("./keys");
+
+const tokenLifetime = Number(process.env.MOCK_IDP_TOKEN_LIFETIME) || 3600;
+const allowedOrigins = (
+  process.env.MOCK_IDP_ALLOWED_ORIGINS || "http://localhost:4040"
+).split(",");
+
+// The app's own client, and the one it logs in with to link another account
+const clientIds = [clientId, linkingClientId];
+
+const sessionCookie = "mock_idp_session";
+const userinfoAudience = `${issuer}userinfo`;
+
+// Everything is kept in memory: restarting the server logs everyone out
+const sessions = new Map();
+const authorizationCodes = new Map();
+const refreshTokens = new Map();
+
+// The acr_values an app sends to ask for multi-factor authentication
+const mfaAcr = "http://schemas.openid.net/pape/policies/2007/06/multi-factor";
+
+const isMfaRequested = (params) =>
+  (params.acr_values || "").split(" ").includes(mfaAcr);
+
+const randomId = () => crypto.randomBytes(24).toString("base64url");
+const now = () => Math.floor(Date.now() / 1000);
+
+// ===============================
+// USERS
+// ===============================
+
+/**
+ * Read on every use, so you can edit users.json without restarting the server
+ */
+const loadDirectory = () => JSON.parse(fs.readFileSync(usersFile, "utf8"));
+
+const findUser = (sub) =>
+  loadDirectory().users.find((user) => user.sub === sub);
+
+const getPermissions = (user) => {
+  const { roles } = loadDirectory();
+
+  return [...new Set((user.roles || []).flatMap((role) => roles[role] || []))];
+};
+
+// Scopes about the user's identity, which any app may ask for
+const oidcScopes = ["openid", "profile", "email", "offline_access"];
+
+/**
+ * Like Auth0 with RBAC enforced: the app only gets the API scopes it asked for that the
+ * user's roles allow. Asking for "manage:users" doesn't grant it.
+ */
+const getGrantedScopes = (user, requestedScopes) => {
+  const permissions = getPermissions(user);
+
+  return requestedScopes.filter(
+    (scope) => oidcScopes.includes(scope) || permissions.includes(scope)
+  );
+};
+
+const getProfileClaims = (user) => ({
+  sub: user.sub,
+  name: user.name,
+  nickname: user.nickname,
+  email: user.email,
+  email_verified: Boolean(user.email_verified),
+  picture: `${issuer}avatars/${encodeURIComponent(user.sub)}.svg`,
+  updated_at: new Date().toISOString(),
+  [rolesClaim]: user.roles || [],
+  // What a Login Action adds in Auth0, for the Linked Accounts section of the Profile page
+  identities: [
+    {
+      provider: user.sub.split("|")[0],
+      user_id: user.sub.slice(user.sub.indexOf("|") + 1),
+      connection: "Username-Password-Authentication",
+      isSocial: false,
+    },
+  ],
+});
+
+// ===============================
+// TOKENS
+// ===============================
+
+/**
+ * `amr` lists how the user authenticated: "pwd" for the login page, plus "mfa" when the
+ * app asked for MFA. Like an Auth0 Action would, auth_time and amr are also copied into
+ * the access token (as namespaced claims), so APIs can require a recent login or MFA.
+ */
+const issueTokens = ({
+  user,
+  client,
+  authTime,
+  amr,
+  sessionId,
+  nonce,
+  scope,
+  audience,
+}) => {
+  const issuedAt = now();
+  const scopes = getGrantedScopes(
+    user,
+    (scope || "openid profile email").split(" ").filter(Boolean)
+  );
+
+  const accessToken = signJwt({
+    iss: issuer,
+    sub: user.sub,
+    aud: audience ? [audience, userinfoAudience] : userinfoAudience,
+    iat: issuedAt,
+    exp: issuedAt + tokenLifetime,
+    azp: client,
+    scope: scopes.join(" "),
+    permissions: getPermissions(user),
+    [rolesClaim]: user.roles || [],
+    [`${claimsNamespace}/auth_time`]: authTime,
+    [`${claimsNamespace}/amr`]: amr,
+  });
+
+  const idToken = signJwt({
+    ...getProfileClaims(user),
+    iss: issuer,
+    aud: client,
+    iat: issuedAt,
+    exp: issuedAt + tokenLifetime,
+    auth_time: authTime,
+    amr,
+    sid: sessionId,
+    ...(nonce && { nonce }),
+  });
+
+  const response = {
+    access_token: accessToken,
+    id_token: idToken,
+    scope: scopes.join(" "),
+    expires_in: tokenLifetime,
+    token_type: "Bearer",
+  };
+
+  if (scopes.includes("offline_access")) {
+    response.refresh_token = randomId();
+    refreshTokens.set(response.refresh_token, {
+      sub: user.sub,
+      client,
+      authTime,
+      amr,
+      sessionId,
+      scope,
+      audience,
+    });
+  }
+
+  return response;
+};
+
+// ===============================
+// SESSIONS
+// ===============================
+
+const getSession = (req) => {
+  const cookies = Object.fromEntries(
+    (req.headers.cookie || "")
+      .split(";")
+      .filter(Boolean)
+      .map((cookie) => cookie.trim().split("="))
+  );
+
+  const sessionId = cookies[sessionCookie];
+  const session = sessionId && sessions.get(sessionId);
+
+  return session && findUser(session.sub) ? { sessionId, ...session } : null;
+};
+
+const sessionCookieHeader = (sessionId, maxAge) =>
+  `${sessionCookie}=${sessionId}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}`;
+
+// ===============================
+// AUTHORIZE
+// ===============================
+
+const isAllowedRedirect = (url) => {
+  try {
+    return allowedOrigins.includes(new URL(url).origin);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Send the result of /authorize back to the app, the way it asked for it:
+ * - response_mode=web_message → HTML that posts the result to the parent window.
+ *   That's what getAccessTokenSilently uses from its hidden iframe.
+ * - otherwise → redirect to redirect_uri with the result in the query string
+ */
+const sendAuthorizationResponse = (res, params, result, headers = {}) => {
+  const response = { ...result, state: params.state };
+
+  if (params.response_mode === "web_message") {
+    const targetOrigin = new URL(params.redirect_uri).origin;
+    // Escape "<" so a crafted `state` can't close the <script> tag
+    const message = JSON.stringify({
+      type: "authorization_response",
+      response,
+    }).replace(/</g, "\\u003c");
+
+    sendHtml(
+      res,
+      200,
+      `<!DOCTYPE html><html><body><script>
+        (window.opener || window.parent).postMessage(${message}, ${JSON.stringify(
+        targetOrigin
+      )});
+      </script></body></html>`,
+      headers
+    );
+    return;
+  }
+
+  const location = new URL(params.redirect_uri);
+
+  Object.entries(response).forEach(([key, value]) => {
+    if (value !== undefined) {
+      location.searchParams.set(key, value);
+    }
+  });
+
+  redirect(res, location.toString(), headers);
+};
+
+const completeAuthorization = (res, params, session, headers) => {
+  const code = randomId();
+
+  authorizationCodes.set(code, {
+    sub: session.sub,
+    client: params.client_id,
+    authTime: session.authTime,
+    amr: session.amr,
+    sessionId: session.sessionId,
+    redirectUri: params.redirect_uri,
+    codeChallenge: params.code_challenge,
+    nonce: params.nonce,
+    scope: params.scope,
+    audience: params.audience || defaultAudience,
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  sendAuthorizationResponse(res, params, { code }, headers);
+};
+
+const renderLoginPage = (res, params) => {
+  const { users } = loadDirectory();
+  const title = params.screen_hint === "signup" ? "Sign Up" : "Log In";
+
+  const userButtons = users
+    .map(
+      (user) => `
+        <button type="submit" name="sub" value="${escapeHtml(user.sub)}"${
+        user.email === params.login_hint ? " autofocus" : ""
+      }>
+          <strong>${escapeHtml(user.name)}</strong>
+          <span>${escapeHtml(user.email)}</span>
+          <span>Roles: ${escapeHtml((user.roles || []).join(", ") || "none")}${
+        user.email_verified ? "" : " · email not verified"
+      }</span>
+        </button>`
+    )
+    .join("");
+
+  sendHtml(
+    res,
+    200,
+    `<!DOCTYPE html>
+    <html>
+      <head>
+        <title>${title} · Local Identity Provider</title>
+        <style>
+          body { font-family: sans-serif; background: #1a1e27; color: #fff; display: flex; justify-content: center; padding: 4rem 1rem; }
+          form { width: 100%; max-width: 28rem; }
+          button { display: flex; flex-direction: column; gap: 0.25rem; width: 100%; margin-bottom: 1rem; padding: 1rem; border: 1px solid #3a3f4b; border-radius: 0.5rem; background: #2a2e35; color: inherit; text-align: left; cursor: pointer; }
+          button:hover, button:focus { border-color: #635dff; }
+          span { color: #a2a6b0; }
+        </style>
+      </head>
+      <body>
+        <form method="POST" action="/login">
+          <h1>${title}</h1>
+          <p>Local identity provider: choose a test user.</p>
+          ${
+            isMfaRequested(params)
+              ? "<p>The app asked for multi-factor authentication: this login counts as one.</p>"
+              : ""
+          }
+          <input type="hidden" name="authorize" value="${escapeHtml(
+            new URLSearchParams(params).toString()
+          )}" />
+          ${userButtons}
+        </form>
+      </body>
+    </html>`
+  );
+};
+
+const handleAuthorize = (req, res, params) => {
+  if (!clientIds.includes(params.client_id)) {
+    sendHtml(
+      res,
+      400,
+      `<h1>Unknown client_id "${escapeHtml(params.client_id)}"</h1>`
+    );
+    return;
+  }
+
+  // Never redirect anywhere we don't know: that would make this an open redirector
+  if (!isAllowedRedirect(params.redirect_uri)) {
+    sendHtml(
+      res,
+      400,
+      `<h1>redirect_uri "${escapeHtml(params.redirect_uri)}" is not allowed</h1>
+      <p>Add its origin to MOCK_IDP_ALLOWED_ORIGINS.</p>`
+    );
+    return;
+  }
+
+  if (
+    params.response_type !== "code" ||
+    params.code_challenge_method !== "S256"
+  ) {
+    sendAuthorizationResponse(res, params, {
+      error: "unsupported_response_type",
+      error_description:
+        "Only the authorization code flow with PKCE (S256) is supported",
+    });
+    return;
+  }
+
+  const session = getSession(req);
+  const maxAge = params.max_age === undefined ? null : Number(params.max_age);
+  const isSessionFresh =
+    session &&
+    (maxAge === null || now() - session.authTime <= maxAge) &&
+    (!isMfaRequested(params) || session.amr.includes("mfa"));
+
+  if (params.prompt === "none") {
+    if (!isSessionFresh) {
+      sendAuthorizationResponse(res, params, {
+        error: "login_required",
+        error_description: "Login required",
+      });
+      return;
+    }
+
+    completeAuthorization(res, params, session);
+    return;
+  }
+
+  if (!isSessionFresh || ["login", "select_account"].includes(params.prompt)) {
+    renderLoginPage(res, params);
+    return;
+  }
+
+  completeAuthorization(res, params, session);
+};
+
+const handleLogin = async (req, res) => {
+  const body = await readBody(req);
+  const params = Object.fromEntries(new URLSearchParams(body.authorize || ""));
+  const user = findUser(body.sub);
+
+  if (
+    !user ||
+    !clientIds.includes(params.client_id) ||
+    !isAllowedRedirect(params.redirect_uri)
+  ) {
+    sendHtml(res, 400, "<h1>Invalid login request</h1>");
+    return;
+  }
+
+  const sessionId = randomId();
+  // There's no second factor to check here: asking for MFA is enough to get it
+  const session = {
+    sub: user.sub,
+    authTime: now(),
+    amr: isMfaRequested(params) ? ["pwd", "mfa"] : ["pwd"],
+  };
+
+  sessions.set(sessionId, session);
+
+  completeAuthorization(
+    res,
+    params,
+    { sessionId, ...session },
+    {
+      "Set-Cookie": sessionCookieHeader(sessionId, 24 * 60 * 60),
+    }
+  );
+};
+
+// ===============================
+// TOKEN, USERINFO, LOGOUT
+// ===============================
+
+const sendTokenError = (res, status, error, description) => {
+  sendJson(res, status, { error, error_description: description });
+};
+
+const handleToken = async (req, res) => {
+  const body = await readBody(req);
+
+  if (!clientIds.includes(body.client_id)) {
+    sendTokenError(res, 401, "access_denied", "Unauthorized client");
+    return;
+  }
+
+  if (body.grant_type === "authorization_code") {
+    const grant = authorizationCodes.get(body.code);
+
+    // Codes are single use
+    authorizationCodes.delete(body.code);
+
+    const challenge = crypto
+      .createHash("sha256")
+      .update(body.code_verifier || "")
+      .digest("base64url");
+
+    if (
+      !grant ||
+      grant.expiresAt < Date.now() ||
+      grant.client !== body.client_id ||
+      grant.redirectUri !== body.redirect_uri ||
+      grant.codeChallenge !== challenge
+    ) {
+      sendTokenError(res, 403, "invalid_grant", "Invalid authorization code");
+      return;
+    }
+
+    sendJson(res, 200, issueTokens({ ...grant, user: findUser(grant.sub) }));
+    return;
+  }
+
+  if (body.grant_type === "refresh_token") {
+    const grant = refreshTokens.get(body.refresh_token);
+    const user =
+      grant && grant.client === body.client_id && findUser(grant.sub);
+
+    if (!user) {
+      sendTokenError(
+        res,
+        403,
+        "invalid_grant",
+        "Unknown or invalid refresh token."
+      );
+      return;
+    }
+
+    refreshTokens.delete(body.refresh_token);
+    sendJson(res, 200, issueTokens({ ...grant, user }));
+    return;
+  }
+
+  sendTokenError(res, 400, "unsupported_grant_type", "Unsupported grant type");
+};
+
+const handleUserinfo = (req, res) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+  try {
+    if (!scheme || scheme.toLowerCase() !== "bearer" || !token) {
+      throw new InvalidTokenError("Missing access token");
+    }
+
+    const claims = verifyJwt(token, {
+      jwks: getJwks(),
+      issuer,
+      audience: userinfoAudience,
+    });
+    const user = findUser(claims.sub);
+
+    if (!user) {
+      throw new InvalidTokenError("Unknown user");
+    }
+
+    sendJson(res, 200, getProfileClaims(user));
+  } catch (error) {
+    if (!(error instanceof InvalidTokenError)) {
+      throw error;
+    }
+
+    sendJson(
+      res,
+      401,
+      { error: "invalid_token", error_description: error.message },
+      {
+        "WWW-Authenticate": `Bearer error="invalid_token"`,
+      }
+    );
+  }
+};
+
+const handleLogout = (req, res, params) => {
+  const session = getSession(req);
+
+  if (session) {
+    sessions.delete(session.sessionId);
+  }
+
+  const headers = { "Set-Cookie": sessionCookieHeader("", 0) };
+
+  if (params.returnTo && isAllowedRedirect(params.returnTo)) {
+    redirect(res, params.returnTo, headers);
+    return;
+  }
+
+  sendHtml(res, 200, "<h1>You are logged out</h1>", headers);
+};
+
+/**
+ * Offline stand-in for profile pictures: a colored circle with the user's initials
+ * @param {string} encodedSub - The user's `sub` as it appears in the URL
+ */
+const handleAvatar = (res, encodedSub) => {
+  let user;
+
+  try {
+    user = findUser(decodeURIComponent(encodedSub));
+  } catch (error) {
+    // A malformed escape like %E0%A4%A can't be any user's sub
+    if (!(error instanceof URIError)) {
+      throw error;
+    }
+  }
+
+  if (!user) {
+    sendJson(res, 404, { message: "Not Found" });
+    return;
+  }
+
+  const initials = user.name
+    .split(" ")
+    .map((part) => part[0])
+    .join("")
+    .slice(0, 2)
+    .toUpperCase();
+  const hue =
+    [...user.sub].reduce((sum, char) => sum + char.charCodeAt(0), 0) % 360;
+
+  res.writeHead(200, { "Content-Type": "image/svg+xml" });
+  res.end(`<svg xmlns="http://www.w3.org/2000/svg" width="120" height="120" viewBox="0 0 120 120">
+    <circle cx="60" cy="60" r="60" fill="hsl(${hue}, 60%, 45%)" />
+    <text x="60" y="60" dy="0.35em" text-anchor="middle" font-family="sans-serif" font-size="48" fill="#fff">${escapeHtml(
+      initials
+    )}</text>
+  </svg>`);
+};
+
+// ===============================
+// SERVER
+// ===============================
+
+const handleRequest = async (req, res) => {
+  const url = new URL(req.url, issuer);
+  const params = Object.fromEntries(url.searchParams);
+  const { origin } = req.headers;
+
+  // The SDK calls /oauth/token and /userinfo with fetch, from the app's origin
+  if (origin && allowedOrigins.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader(
+      "Access-Control-Allow-Headers",
+      "Authorization, Content-Type, Auth0-Client"
+    );
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  }
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const route = `${req.method} ${url.pathname}`;
+  const avatarMatch = url.pathname.match(/^\/avatars\/(.+)\.svg$/);
+
+  if (route === "GET /authorize") {
+    handleAuthorize(req, res, params);
+  } else if (route === "POST /login") {
+    await handleLogin(req, res);
+  } else if (route === "POST /oauth/token") {
+    await handleToken(req, res);
+  } else if (route === "GET /userinfo") {
+    handleUserinfo(req, res);
+  } else if (route === "GET /v2/logout") {
+    handleLogout(req, res, params);
+  } else if (route === "GET /.well-known/jwks.json") {
+    sendJson(res, 200, getJwks());
+  } else if (route === "GET /.well-known/openid-configuration") {
+    sendJson(res, 200, {
+      issuer,
+      authorization_endpoint: `${issuer}authorize`,
+      token_endpoint: `${issuer}oauth/token`,
+      userinfo_endpoint: `${issuer}userinfo`,
+      jwks_uri: `${issuer}.well-known/jwks.json`,
+      end_session_endpoint: `${issuer}v2/logout`,
+      response_types_supported: ["code"],
+      response_modes_supported: ["query", "web_message"],
+      grant_types_supported: ["authorization_code", "refresh_token"],
+      code_challenge_methods_supported: ["S256"],
+      id_token_signing_alg_values_supported: ["RS256"],
+    });
+  } else if (req.method === "GET" && avatarMatch) {
+    handleAvatar(res, avatarMatch[1]);
+  } else {
+    sendJson(res, 404, { message: "Not Found" });
+  }
+};
+
+http.createServer(logRequests(handleRequest)).listen(idpPort, () => {
+  console.log(`🚀 Local identity provider running on port ${idpPort}`);
+  console.log(`🏠 Issuer: ${issuer}`);
+  console.log(`🆔 Client ID: ${clientId}`);
+  console.log(`🔗 Linking client ID: ${linkingClientId}`);
+  console.log(`👥 Users: ${usersFile}`);
+});
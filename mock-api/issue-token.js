@@ -0,0 +1,34 @@
+/**
+ * Mint an access token the mock API accepts, for trying endpoints with curl or tests.
+ *
+ * Usage:
+ *   npm run api:token
+ *   npm run api:token -- --permissions read:admin-messages
+ *   npm run api:token -- --sub "auth0|alice" --expires-in 60
+ *
+ * Then:
+ *   curl -H "Authorization: Bearer <token>" http://localhost:6060/api/messages/admin
+ */
+
+const { signJwt } = require("./keys");
+const { audience, issuer } = require("./config");
+
+const readOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+
+  return index === -1 ? fallback : process.argv[index + 1];
+};
+
+const now = Math.floor(Date.now() / 1000);
+const permissions = readOption("permissions", "");
+
+const token = signJwt({
+  iss: issuer,
+  sub: readOption("sub", "auth0|mock-user"),
+  aud: audience,
+  iat: now,
+  exp: now + Number(readOption("expires-in", 3600)),
+  permissions: permissions ? permissions.split(",") : [],
+});
+
+console.log(token);
@@ -0,0 +1,114 @@
+/**
+ * Access token validation for the mock API
+ *
+ * Performs the same checks express-oauth2-jwt-bearer does in backend-example/server.js:
+ * - The token is a JWT signed with RS256 by a key from the trusted JWKS
+ * - It was issued by the expected issuer
+ * - It was issued for this API (audience)
+ * - It is not expired (or not yet valid)
+ */
+
+const crypto = require("crypto");
+
+// Allow a little clock drift between the token issuer and this server
+const CLOCK_TOLERANCE_SECONDS = 5;
+
+class InvalidTokenError extends Error {
+  constructor(description) {
+    super(description);
+    this.name = "InvalidTokenError";
+  }
+}
+
+/**
+ * The header and the payload must both be JSON objects: `null`, `1` or `[]` are valid
+ * JSON, but not a valid header or set of claims
+ */
+const decodePart = (part) => {
+  let value;
+
+  try {
+    value = JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new InvalidTokenError("Malformed token");
+  }
+
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    throw new InvalidTokenError("Malformed token");
+  }
+  return value;
+};
+
+/**
+ * @param {string} token - The compact JWT from the Authorization header
+ * @param {Object} options
+ * @param {Object} options.jwks - Trusted keys ({ keys: [...] })
+ * @param {string} options.issuer - Expected `iss` claim
+ * @param {string} options.audience - Expected `aud` claim (or one of them)
+ * @returns {Object} The verified token claims
+ * @throws {InvalidTokenError} When any check fails
+ */
+const verifyJwt = (token, { jwks, issuer, audience }) => {
+  const parts = token.split(".");
+
+  if (parts.length !== 3) {
+    throw new InvalidTokenError("Malformed token");
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodePart(encodedHeader);
+  const claims = decodePart(encodedPayload);
+
+  if (header.alg !== "RS256") {
+    throw new InvalidTokenError(
+      `Unsupported signing algorithm "${header.alg}"`
+    );
+  }
+
+  const jwk = jwks.keys.find((key) => key.kid === header.kid);
+
+  if (!jwk) {
+    throw new InvalidTokenError("Signing key not found in JWKS");
+  }
+
+  const isSignatureValid = crypto.verify(
+    "RSA-SHA256",
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    crypto.createPublicKey({ key: jwk, format: "jwk" }),
+    Buffer.from(encodedSignature, "base64url")
+  );
+
+  if (!isSignatureValid) {
+    throw new InvalidTokenError("Invalid signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (
+    typeof claims.exp !== "number" ||
+    claims.exp + CLOCK_TOLERANCE_SECONDS < now
+  ) {
+    throw new InvalidTokenError("Token is expired");
+  }
+
+  if (
+    typeof claims.nbf === "number" &&
+    claims.nbf - CLOCK_TOLERANCE_SECONDS > now
+  ) {
+    throw new InvalidTokenError("Token is not yet valid");
+  }
+
+  if (claims.iss !== issuer) {
+    throw new InvalidTokenError(`Unexpected "iss" value`);
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (!audiences.includes(audience)) {
+    throw new InvalidTokenError(`Unexpected "aud" value`);
+  }
+
+  return claims;
+};
+
+module.exports = { InvalidTokenError, verifyJwt };
@@ -0,0 +1,80 @@
+/**
+ * Run with: npm run test:server
+ */
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, describe, it } = require("node:test");
+
+// Sign with throwaway keys, not the ones in mock-api/.keys
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), "mock-keys-"));
+process.env.MOCK_KEYS_DIR = keysDir;
+
+const { getJwks, signJwt } = require("./keys");
+const { InvalidTokenError, verifyJwt } = require("./jwt");
+
+const issuer = "http://localhost:6061/";
+const audience = "https://hello-world.example.com";
+const now = () => Math.floor(Date.now() / 1000);
+
+const verify = (token) =>
+  verifyJwt(token, { jwks: getJwks(), issuer, audience });
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+describe("verifyJwt", () => {
+  after(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  it("returns the claims of a valid token", () => {
+    const token = signJwt({
+      iss: issuer,
+      aud: audience,
+      sub: "auth0|alice",
+      exp: now() + 60,
+    });
+
+    assert.equal(verify(token).sub, "auth0|alice");
+  });
+
+  it("refuses expired tokens, and tokens for other APIs or issuers", () => {
+    [
+      { iss: issuer, aud: audience, exp: now() - 60 },
+      { iss: issuer, aud: "https://other-api.example.com", exp: now() + 60 },
+      { iss: "https://evil.example/", aud: audience, exp: now() + 60 },
+    ].forEach((claims) => {
+      assert.throws(() => verify(signJwt(claims)), InvalidTokenError);
+    });
+  });
+
+  it("refuses a token whose signature doesn't match", () => {
+    const [header, , signature] = signJwt({
+      iss: issuer,
+      aud: audience,
+      exp: now() + 60,
+    }).split(".");
+    const forged = encode({ iss: issuer, aud: audience, sub: "auth0|admin" });
+
+    assert.throws(
+      () => verify(`${header}.${forged}.${signature}`),
+      InvalidTokenError
+    );
+  });
+
+  it("refuses headers and payloads that aren't JSON objects", () => {
+    [
+      "bnVsbA.e30.x", // header: null
+      "e30.bnVsbA.x", // payload: null
+      `${encode([])}.e30.x`,
+      `${encode(1)}.e30.x`,
+      "not-base64.e30.x",
+      "only.two",
+    ].forEach((token) => {
+      assert.throws(() => verify(token), InvalidTokenError);
+    });
+  });
+});
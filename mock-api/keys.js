@@ -0,0 +1,90 @@
+/**
+ * Local signing keys for the mock API
+ *
+ * Instead of trusting Auth0's JWKS (which needs network access), the mock API trusts
+ * a key pair generated on this machine. The private key signs test tokens, the public
+ * key is published as a JWKS, exactly like Auth0 does at /.well-known/jwks.json.
+ *
+ * Keys are created on first use and stored in mock-api/.keys (git-ignored), so tokens
+ * you mint keep working across restarts.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const keysDir = process.env.MOCK_KEYS_DIR || path.join(__dirname, ".keys");
+const privateKeyPath = path.join(keysDir, "private.pem");
+
+let signingKey = null;
+
+/**
+ * Load the private key from disk, generating a new RS256 key pair the first time
+ */
+const getSigningKey = () => {
+  if (signingKey) {
+    return signingKey;
+  }
+
+  if (!fs.existsSync(privateKeyPath)) {
+    const { privateKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+
+    fs.mkdirSync(keysDir, { recursive: true });
+    fs.writeFileSync(
+      privateKeyPath,
+      privateKey.export({ type: "pkcs8", format: "pem" }),
+      { mode: 0o600 }
+    );
+  }
+
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(privateKeyPath));
+  const publicJwk = crypto
+    .createPublicKey(privateKey)
+    .export({ format: "jwk" });
+
+  // The key ID is derived from the public key, so it changes when the key does
+  const kid = crypto
+    .createHash("sha256")
+    .update(publicJwk.n)
+    .digest("base64url")
+    .slice(0, 16);
+
+  signingKey = { kid, privateKey, publicJwk };
+
+  return signingKey;
+};
+
+/**
+ * The public half of the signing key, in the same shape Auth0 serves its JWKS
+ */
+const getJwks = () => {
+  const { kid, publicJwk } = getSigningKey();
+
+  return {
+    keys: [{ ...publicJwk, kid, alg: "RS256", use: "sig" }],
+  };
+};
+
+/**
+ * Sign a set of claims as an RS256 JWT
+ * @param {Object} claims - JWT payload (iss, aud, sub, exp, permissions, ...)
+ * @returns {string} The compact JWT
+ */
+const signJwt = (claims) => {
+  const { kid, privateKey } = getSigningKey();
+
+  const encode = (part) =>
+    Buffer.from(JSON.stringify(part)).toString("base64url");
+
+  const header = encode({ alg: "RS256", typ: "JWT", kid });
+  const payload = encode(claims);
+  const signature = crypto
+    .sign("RSA-SHA256", Buffer.from(`${header}.${payload}`), privateKey)
+    .toString("base64url");
+
+  return `${header}.${payload}.${signature}`;
+};
+
+module.exports = { getJwks, signJwt };
@@ -0,0 +1,203 @@
+/**
+ * Local mock API server that validates access tokens like a real backend would
+ *
+ * json-server happily serves every message to anyone, which makes it impossible to
+ * see how the app behaves when the API says 401 (no/bad token) or 403 (missing permission).
+ * This server serves the same data (json-server/db.json through json-server/routes.json)
+ * but protects each route the way backend-example/server.js does:
+ * - Validates RS256 Bearer tokens against a JWKS generated on this machine
+ * - Enforces per-route permissions, like read:admin-messages
+ * - Answers with the same kind of error bodies a real Auth0-protected API sends
+ *
+ * It has no dependencies beyond Node itself, so it works fully offline.
+ *
+ * Usage:
+ *   npm run api → start the server
+ *   npm run api:token -- --permissions read:admin-messages → mint a test access token
+ */
+
+const http = require("http");
+const path = require("path");
+const { allowedOrigin, audience, issuer, port } = require("./config");
+const { logRequests, readBody, sendJson } = require("./http");
+const { getJwks } = require("./keys");
+const { InvalidTokenError, verifyJwt } = require("./jwt");
+
+const db = require(path.join(__dirname, "../json-server/db.json"));
+const routes = require(path.join(__dirname, "../json-server/routes.json"));
+
+/**
+ * Access rules for every route in json-server/routes.json.
+ * Routes not listed here are public.
+ *
+ * - authenticated: a valid access token is required
+ * - permissions: every one of these must be in the token's `permissions`
+ */
+const routePolicies = {
+  "/api/messages/protected": { authenticated: true },
+  "/api/messages/admin": {
+    authenticated: true,
+    permissions: ["read:admin-messages"],
+  },
+};
+
+// ===============================
+// RESPONSES
+// ===============================
+
+/**
+ * 401 responses include a WWW-Authenticate header (RFC 6750), like express-oauth2-jwt-bearer
+ */
+const sendUnauthorized = (res, description) => {
+  const challenge = description
+    ? `Bearer realm="api", error="invalid_token", error_description="${description}"`
+    : `Bearer realm="api"`;
+
+  sendJson(
+    res,
+    401,
+    description
+      ? {
+          error: "invalid_token",
+          error_description: description,
+          message: "Bad credentials",
+        }
+      : { message: "Requires authentication" },
+    { "WWW-Authenticate": challenge }
+  );
+};
+
+const sendForbidden = (res, required, provided) => {
+  sendJson(res, 403, {
+    error: "insufficient_permissions",
+    error_description: `Missing required permissions: ${required.join(" ")}`,
+    message: "Permission denied",
+    required,
+    provided,
+  });
+};
+
+// ===============================
+// AUTHORIZATION
+// ===============================
+
+const getBearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+  return scheme && scheme.toLowerCase() === "bearer" && token ? token : null;
+};
+
+/**
+ * Only RBAC permissions grant access. The `scope` claim lists what the app asked for,
+ * which any app can ask for, so it's never trusted here.
+ */
+const getGrantedPermissions = (claims) =>
+  Array.isArray(claims.permissions) ? claims.permissions : [];
+
+/**
+ * Checks the request against the route policy.
+ * @returns {boolean} true when the request may continue, false when an error was already sent
+ */
+const authorize = (req, res, policy) => {
+  if (!policy.authenticated) {
+    return true;
+  }
+
+  const token = getBearerToken(req);
+
+  if (!token) {
+    sendUnauthorized(res);
+    return false;
+  }
+
+  let claims;
+
+  try {
+    claims = verifyJwt(token, { jwks: getJwks(), issuer, audience });
+  } catch (error) {
+    if (error instanceof InvalidTokenError) {
+      sendUnauthorized(res, error.message);
+      return false;
+    }
+
+    throw error;
+  }
+
+  const required = policy.permissions || [];
+  const provided = getGrantedPermissions(claims);
+
+  if (!required.every((permission) => provided.includes(permission))) {
+    sendForbidden(res, required, provided);
+    return false;
+  }
+
+  req.auth = claims;
+  return true;
+};
+
+// ===============================
+// SERVER
+// ===============================
+
+/**
+ * Crash reports sent by the React app when REACT_APP_ERROR_REPORTING_URL points here
+ */
+const handleClientError = async (req, res) => {
+  const report = await readBody(req);
+
+  console.error("💥 Client error reported:", report);
+  res.writeHead(204);
+  res.end();
+};
+
+const handleRequest = async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+  res.setHeader("Access-Control-Allow-Origin", allowedOrigin);
+  res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+
+  // CORS preflight: browsers send it before any request with an Authorization header
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method === "POST" && pathname === "/api/client-errors") {
+    await handleClientError(req, res);
+    return;
+  }
+
+  if (req.method !== "GET") {
+    sendJson(res, 405, { message: "Method Not Allowed" }, { Allow: "GET" });
+    return;
+  }
+
+  if (pathname === "/.well-known/jwks.json") {
+    sendJson(res, 200, getJwks());
+    return;
+  }
+
+  const resource = routes[pathname];
+
+  if (!resource) {
+    sendJson(res, 404, { message: "Not Found" });
+    return;
+  }
+
+  if (!authorize(req, res, routePolicies[pathname] || {})) {
+    return;
+  }
+
+  sendJson(res, 200, db[resource.replace(/^\//, "")]);
+};
+
+const server = http.createServer(logRequests(handleRequest));
+
+server.listen(port, () => {
+  console.log(`🚀 Mock API server running on port ${port}`);
+  console.log(`🔐 Audience: ${audience}`);
+  console.log(`🏠 Issuer: ${issuer}`);
+  console.log(`🔑 JWKS: http://localhost:${port}/.well-known/jwks.json`);
+});
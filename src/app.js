@@ -1,12 +1,20 @@
 import { useAuth0 } from "@auth0/auth0-react";
 import React from "react";
-import { Route, Routes } from "react-router-dom";
+import { Route, Routes, useLocation } from "react-router-dom";
 import { PageLoader } from "./components/page-loader"; // A simple loading spinner component
 import { AuthenticationGuard } from "./components/authentication-guard"; // A higher-order component to protect routes
+import { ErrorBoundary } from "./components/error-boundary";
+import { AppErrorFallback } from "./components/error-fallback";
+import { Permission } from "./hooks/usePermissions";
+import { AdminAuditPage } from "./pages/admin-audit-page";
 import { AdminPage } from "./pages/admin-page";
+import { AdminUsersPage } from "./pages/admin-users-page";
+import { AnalyticsPage } from "./pages/analytics-page";
 import { CallbackPage } from "./pages/callback-page";
+import { ErrorPage } from "./pages/error-page";
 import { HomePage } from "./pages/home-page";
 import { NotFoundPage } from "./pages/not-found-page";
+import { PostsPage } from "./pages/posts-page";
 import { ProfilePage } from "./pages/profile-page";
 import { ProtectedPage } from "./pages/protected-page";
 import { PublicPage } from "./pages/public-page";
@@ -18,8 +26,10 @@ export const App = () => {
    * It avoids flashing of unauthenticated content while the SDK is initializing. Yeah, the apps get crazy if we don't handle this state properly.
    */
   const { isLoading } = useAuth0();
+  const { pathname } = useLocation();
 
-  if (isLoading) {
+  // Except on the callback page, which shows its own progress while the login completes
+  if (isLoading && pathname !== "/callback") {
     return (
       <div className="page-layout">
         <PageLoader />
@@ -27,24 +37,76 @@ export const App = () => {
     );
   }
 
+  /**
+   * Two safety nets, so a crash never leaves the user staring at a blank page:
+   * - the inner one replaces a crashed page with an error page, navigation included
+   * - the outer one catches what's left, like a crash in the navigation itself
+   * Components inside a page are also covered by the error boundary in PageLayout.
+   */
   return (
-    <Routes>
-      <Route path="/" element={<HomePage />} />
-      <Route
-        path="/profile"
-        element={<AuthenticationGuard component={ProfilePage} />}
-      />
-      <Route path="/public" element={<PublicPage />} />
-      <Route
-        path="/protected"
-        element={<AuthenticationGuard component={ProtectedPage} />}
-      />
-      <Route
-        path="/admin"
-        element={<AuthenticationGuard component={AdminPage} />}
-      />
-      <Route path="/callback" element={<CallbackPage />} />
-      <Route path="*" element={<NotFoundPage />} />
-    </Routes>
+    <ErrorBoundary fallback={AppErrorFallback}>
+      <ErrorBoundary fallback={ErrorPage}>
+        <Routes>
+          <Route path="/" element={<HomePage />} />
+          <Route
+            path="/profile"
+            element={<AuthenticationGuard component={ProfilePage} />}
+          />
+          <Route path="/public" element={<PublicPage />} />
+          <Route
+            path="/protected"
+            element={<AuthenticationGuard component={ProtectedPage} />}
+          />
+          <Route
+            path="/admin"
+            element={
+              <AuthenticationGuard
+                component={AdminPage}
+                permissions={[Permission.READ_ADMIN_MESSAGES]}
+              />
+            }
+          />
+          <Route
+            path="/admin/users"
+            element={
+              <AuthenticationGuard
+                component={AdminUsersPage}
+                permissions={[Permission.MANAGE_USERS]}
+              />
+            }
+          />
+          <Route
+            path="/admin/audit"
+            element={
+              <AuthenticationGuard
+                component={AdminAuditPage}
+                permissions={[Permission.READ_AUDIT_LOG]}
+              />
+            }
+          />
+          <Route
+            path="/posts"
+            element={
+              <AuthenticationGuard
+                component={PostsPage}
+                permissions={[Permission.READ_POSTS]}
+                requireVerifiedEmail
+              />
+            }
+          />
+          <Route
+            path="/analytics"
+            element={
+              <AuthenticationGuard
+                component={AnalyticsPage}
+                permissions={[Permission.READ_ANALYTICS]}
+              />
+            }
+          />
+          <Route path="/callback" element={<CallbackPage />} />
+          <Route path="*" element={<NotFoundPage />} />
+        </Routes>
+      </ErrorBoundary>
+    </ErrorBoundary>
   );
 };
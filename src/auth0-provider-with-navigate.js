@@ -19,6 +19,11 @@
 // Import Auth0's React provider component for authentication
 import { Auth0Provider } from "@auth0/auth0-react";
 import React from "react";
+import { AuthSync } from "./components/auth-sync";
+import { SessionMonitor } from "./components/session-monitor";
+import { config, configErrors } from "./config";
+import { ConfigurationErrorPage } from "./pages/configuration-error-page";
+import { restoreScrollPosition, toSafeReturnPath } from "./utils/return-to";
 // Import navigation hook from React Router v6 for programmatic navigation
 import { useNavigate } from "react-router-dom";
 
@@ -31,12 +36,12 @@ export const Auth0ProviderWithNavigate = ({ children }) => {
   // Get the navigate function from React Router to handle programmatic navigation
   const navigate = useNavigate();
 
-  // Read Auth0 configuration from environment variables
+  // Read Auth0 configuration from environment variables (validated in src/config.js)
   // These should be set in your .env file for security
-  const domain = process.env.REACT_APP_AUTH0_DOMAIN; // Your Auth0 tenant domain (e.g., "your-app.auth0.com")
-  const clientId = process.env.REACT_APP_AUTH0_CLIENT_ID; // Unique identifier for your Auth0 application
-  const redirectUri = process.env.REACT_APP_AUTH0_CALLBACK_URL; // URL where Auth0 redirects after authentication. Imagine it as your "address" for receiving a delivery
-  const audience = process.env.REACT_APP_AUTH0_AUDIENCE;
+  const domain = config.auth0.domain; // Your Auth0 tenant domain (e.g., "your-app.auth0.com")
+  const clientId = config.auth0.clientId; // Unique identifier for your Auth0 application
+  const redirectUri = config.auth0.callbackUrl; // URL where Auth0 redirects after authentication. Imagine it as your "address" for receiving a delivery
+  const audience = config.auth0.audience;
 
   /**
    * Callback function that runs after successful authentication
@@ -55,15 +60,17 @@ export const Auth0ProviderWithNavigate = ({ children }) => {
     Now you getting, this function is usually used for redirecting your users to different pages within your app after they log in. Like if they are admins or simple users.
    */
   const onRedirectCallback = (appState) => {
-    // Navigate to the intended destination (returnTo) or stay on current page
-    // Uses optional chaining (?.) to safely access appState.returnTo
-    navigate(appState?.returnTo || window.location.pathname);
+    // Navigate to the intended destination (returnTo), query string and hash included.
+    // It's checked first: only paths of this app are accepted, anything else goes to "/" (src/utils/return-to.js)
+    // replace: true, so the back button doesn't lead to the /callback page again
+    navigate(toSafeReturnPath(appState?.returnTo), { replace: true });
+    restoreScrollPosition(appState);
   };
 
-  // Safety check: Ensure all required Auth0 configuration is present
-  // If any config is missing, don't render the provider (prevents runtime errors)
-  if (!(domain && clientId && redirectUri && audience)) {
-    return null;
+  // Safety check: Ensure all required configuration is present and well formed
+  // If it isn't, don't render the provider (prevents runtime errors) and explain what's wrong instead
+  if (configErrors.length > 0) {
+    return <ConfigurationErrorPage errors={configErrors} />;
   }
 
   // Render the Auth0Provider with all the configuration
@@ -79,6 +86,10 @@ export const Auth0ProviderWithNavigate = ({ children }) => {
     >
       {/* Render all child components within the Auth0 context */}
       {children}
+      {/* Follows logins and logouts made in other tabs (src/components/auth-sync.js) */}
+      <AuthSync />
+      {/* Warns before the session ends, and logs out idle users (src/components/session-monitor.js) */}
+      <SessionMonitor />
     </Auth0Provider>
   );
 };
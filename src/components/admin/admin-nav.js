@@ -0,0 +1,50 @@
+/**
+ * AdminNav - Links between the pages of the admin console
+ *
+ * Each link only shows up with the permission its page needs, like the tabs of the nav bar.
+ */
+
+import React from "react";
+import { NavLink } from "react-router-dom";
+import { Permission, usePermissions } from "../../hooks/usePermissions";
+
+const adminLinks = [
+  {
+    path: "/admin",
+    label: "Overview",
+    permissions: [Permission.READ_ADMIN_MESSAGES],
+  },
+  {
+    path: "/admin/users",
+    label: "Users & roles",
+    permissions: [Permission.MANAGE_USERS],
+  },
+  {
+    path: "/admin/audit",
+    label: "Audit log",
+    permissions: [Permission.READ_AUDIT_LOG],
+  },
+];
+
+export const AdminNav = () => {
+  const { hasPermissions } = usePermissions();
+
+  return (
+    <nav className="admin-nav" aria-label="Admin">
+      {adminLinks
+        .filter(({ permissions }) => hasPermissions(permissions))
+        .map(({ path, label }) => (
+          <NavLink
+            key={path}
+            to={path}
+            end
+            className={({ isActive }) =>
+              "admin-nav__link " + (isActive ? "admin-nav__link--active" : "")
+            }
+          >
+            {label}
+          </NavLink>
+        ))}
+    </nav>
+  );
+};
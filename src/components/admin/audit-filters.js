@@ -0,0 +1,120 @@
+/**
+ * AuditFilters - Filter the audit log by user, route and date range
+ *
+ * The filters apply when the form is submitted, so typing doesn't send a request
+ * for every keystroke.
+ */
+
+import React, { useEffect, useState } from "react";
+
+const emptyFilters = { userId: "", route: "", from: "", to: "" };
+
+/**
+ * @param {Object} filters - The current `{ userId, route, from, to }`
+ * @param {Function} onChange - Receives the new filters, in the same shape
+ */
+export const AuditFilters = ({ filters, onChange }) => {
+  const [values, setValues] = useState(filters);
+  const [error, setError] = useState(null);
+  const { userId, route, from, to } = filters;
+
+  // The filters can also change from outside, e.g. with the browser's back button
+  useEffect(() => {
+    setValues({ userId, route, from, to });
+  }, [userId, route, from, to]);
+
+  const setValue = (name) => (event) =>
+    setValues((previousValues) => ({
+      ...previousValues,
+      [name]: event.target.value,
+    }));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+
+    // YYYY-MM-DD strings sort like the dates they represent
+    if (values.from && values.to && values.from > values.to) {
+      setError("The start date must be on or before the end date.");
+      return;
+    }
+
+    setError(null);
+    onChange({
+      ...values,
+      userId: values.userId.trim(),
+      route: values.route.trim(),
+    });
+  };
+
+  const clearFilters = () => {
+    setError(null);
+    setValues(emptyFilters);
+    onChange(emptyFilters);
+  };
+
+  const hasFilters = Boolean(userId || route || from || to);
+
+  return (
+    <form className="audit-filters" role="search" onSubmit={handleSubmit}>
+      <label className="audit-filters__label">
+        User ID
+        <input
+          type="search"
+          className="audit-filters__input"
+          placeholder="auth0|123"
+          value={values.userId}
+          onChange={setValue("userId")}
+        />
+      </label>
+      <label className="audit-filters__label">
+        Route
+        <input
+          type="search"
+          className="audit-filters__input"
+          placeholder="/api/posts"
+          value={values.route}
+          onChange={setValue("route")}
+        />
+      </label>
+      <label className="audit-filters__label">
+        From
+        <input
+          type="date"
+          className="audit-filters__input"
+          value={values.from}
+          max={values.to || undefined}
+          onChange={setValue("from")}
+        />
+      </label>
+      <label className="audit-filters__label">
+        To
+        <input
+          type="date"
+          className="audit-filters__input"
+          value={values.to}
+          min={values.from || undefined}
+          onChange={setValue("to")}
+        />
+      </label>
+      <div className="audit-filters__actions">
+        <button className="button button--primary button--compact">
+          Filter
+        </button>
+        {hasFilters && (
+          <button
+            type="button"
+            className="button button--secondary button--compact"
+            onClick={clearFilters}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+      {error && (
+        <span className="audit-filters__error" role="alert">
+          {error}
+        </span>
+      )}
+    </form>
+  );
+};
@@ -0,0 +1,76 @@
+/**
+ * AuditLogTable - One row per authenticated API request recorded by the backend
+ */
+
+import React from "react";
+
+/**
+ * @param {Object[]} entries - As returned by GET /api/admin/audit
+ * @param {string} emptyMessage - Shown when there are no entries
+ * @param {boolean} [isLoading] - Dims the table while the next page loads
+ */
+export const AuditLogTable = ({ entries, emptyMessage, isLoading = false }) => {
+  if (entries.length === 0) {
+    return <p className="audit-log__empty">{emptyMessage}</p>;
+  }
+
+  return (
+    <div
+      className={isLoading ? "audit-log audit-log--loading" : "audit-log"}
+      aria-busy={isLoading}
+    >
+      <table className="audit-log__table">
+        <thead>
+          <tr>
+            <th scope="col">Time</th>
+            <th scope="col">User</th>
+            <th scope="col">Request</th>
+            <th scope="col">Status</th>
+            <th scope="col">Scopes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((entry) => (
+            <tr key={entry.id}>
+              <td>
+                <time dateTime={entry.timestamp}>
+                  {new Date(entry.timestamp).toLocaleString()}
+                </time>
+              </td>
+              <td>
+                <code>{entry.userId}</code>
+              </td>
+              <td>
+                <code title={entry.path}>
+                  {entry.method} {entry.route}
+                </code>
+              </td>
+              <td>
+                <span
+                  className={
+                    entry.status < 400
+                      ? "audit-log__status"
+                      : "audit-log__status audit-log__status--error"
+                  }
+                >
+                  {entry.status}
+                </span>
+              </td>
+              <td>
+                {entry.scopes.length > 0 ? (
+                  entry.scopes.map((scope) => (
+                    <code key={scope} className="audit-log__scope">
+                      {scope}
+                    </code>
+                  ))
+                ) : (
+                  <span className="audit-log__none">None</span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
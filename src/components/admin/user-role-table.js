@@ -0,0 +1,102 @@
+/**
+ * UserRoleTable - Users known to the backend, with a checkbox per role
+ *
+ * Checking a box assigns the role, unchecking it revokes it. The change is saved right
+ * away, one role at a time, and the row shows the permissions the user ends up with.
+ */
+
+import React from "react";
+
+/**
+ * @param {Object[]} users - As returned by GET /api/admin/users
+ * @param {Object[]} roles - As returned by GET /api/admin/roles
+ * @param {string} currentUserId - The logged-in admin, who can't revoke their own admin role
+ * @param {Object|null} pendingChange - `{ userId, role }` while a change is being saved
+ * @param {Function} onToggleRole - Receives `(user, role, isAssigned)`
+ */
+export const UserRoleTable = ({
+  users,
+  roles,
+  currentUserId,
+  pendingChange,
+  onToggleRole,
+}) => {
+  if (users.length === 0) {
+    return (
+      <p className="user-role-table__empty">
+        No users yet. Users show up here once they've used the app.
+      </p>
+    );
+  }
+
+  return (
+    <div className="user-role-table">
+      <table className="user-role-table__table">
+        <thead>
+          <tr>
+            <th scope="col">User</th>
+            <th scope="col">Posts</th>
+            {roles.map((role) => (
+              <th key={role.name} scope="col" title={role.description}>
+                {role.name}
+              </th>
+            ))}
+            <th scope="col">Permissions from roles</th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.map((user) => (
+            <tr key={user.userId}>
+              <th scope="row">
+                <span className="user-role-table__name">
+                  {user.displayName || "No profile"}
+                </span>
+                <code className="user-role-table__id">{user.userId}</code>
+              </th>
+              <td>{user.postCount}</td>
+              {roles.map((role) => {
+                const isAssigned = user.roles.includes(role.name);
+                const isPending =
+                  pendingChange?.userId === user.userId &&
+                  pendingChange?.role === role.name;
+                const isOwnAdminRole =
+                  user.userId === currentUserId && role.name === "admin";
+
+                return (
+                  <td key={role.name}>
+                    <input
+                      type="checkbox"
+                      className="user-role-table__checkbox"
+                      checked={isAssigned}
+                      disabled={
+                        Boolean(pendingChange) || (isAssigned && isOwnAdminRole)
+                      }
+                      aria-busy={isPending}
+                      aria-label={`${role.name} role for ${
+                        user.displayName || user.userId
+                      }`}
+                      onChange={() => onToggleRole(user, role.name, isAssigned)}
+                    />
+                  </td>
+                );
+              })}
+              <td>
+                {user.permissions.length > 0 ? (
+                  <ul className="user-role-table__permissions">
+                    {user.permissions.map((permission) => (
+                      <li key={permission}>
+                        <code>{permission}</code>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <span className="user-role-table__none">None</span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
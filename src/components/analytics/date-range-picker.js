@@ -0,0 +1,108 @@
+/**
+ * DateRangePicker - Pick the period the analytics cover
+ *
+ * Presets ("Last 7 days"...) move with time, so they're kept as a number of days.
+ * A custom range is a fixed `from`/`to` pair of YYYY-MM-DD dates, both included.
+ */
+
+import React, { useEffect, useState } from "react";
+import { dayInMs } from "../../utils/dates";
+
+export const dateRangePresets = [7, 30, 90];
+
+// The backend refuses longer ranges
+const maxDays = 366;
+
+/**
+ * @param {Object} range - `{ days }` for a preset, or `{ from, to }` for a custom range
+ * @param {Function} onChange - Receives the new range, in the same shape
+ */
+export const DateRangePicker = ({ range, onChange }) => {
+  const [from, setFrom] = useState(range.from || "");
+  const [to, setTo] = useState(range.to || "");
+  const [error, setError] = useState(null);
+
+  // The range can also change from outside, e.g. with the browser's back button
+  useEffect(() => {
+    setFrom(range.from || "");
+    setTo(range.to || "");
+  }, [range.from, range.to]);
+
+  const applyCustomRange = (event) => {
+    event.preventDefault();
+
+    if (!from || !to) {
+      setError("Pick both a start and an end date.");
+      return;
+    }
+
+    // YYYY-MM-DD strings sort like the dates they represent
+    if (from > to) {
+      setError("The start date must be on or before the end date.");
+      return;
+    }
+
+    if ((Date.parse(to) - Date.parse(from)) / dayInMs + 1 > maxDays) {
+      setError(`Pick a range of at most ${maxDays} days.`);
+      return;
+    }
+
+    setError(null);
+    onChange({ from, to });
+  };
+
+  return (
+    <div className="date-range-picker">
+      <div
+        className="date-range-picker__presets"
+        role="group"
+        aria-label="Date range presets"
+      >
+        {dateRangePresets.map((days) => (
+          <button
+            key={days}
+            className={
+              range.days === days
+                ? "button button--primary button--compact"
+                : "button button--secondary button--compact"
+            }
+            aria-pressed={range.days === days}
+            onClick={() => onChange({ days })}
+          >
+            Last {days} days
+          </button>
+        ))}
+      </div>
+      <form className="date-range-picker__custom" onSubmit={applyCustomRange}>
+        <label className="date-range-picker__label">
+          From
+          <input
+            type="date"
+            className="date-range-picker__input"
+            value={from}
+            max={to || undefined}
+            onChange={(event) => setFrom(event.target.value)}
+          />
+        </label>
+        <label className="date-range-picker__label">
+          To
+          <input
+            type="date"
+            className="date-range-picker__input"
+            value={to}
+            min={from || undefined}
+            onChange={(event) => setTo(event.target.value)}
+          />
+        </label>
+        <button className="button button--primary button--compact">
+          Apply
+        </button>
+      </form>
+      {error && (
+        <span className="date-range-picker__error" role="alert">
+          {error}
+        </span>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,75 @@
+/**
+ * AuthSync - Keeps this tab in step with logins and logouts made in other tabs
+ *
+ * - Another tab logged out → drop the cached API responses, leave any protected page
+ *   and forget the user here too
+ * - Another tab logged in → pick up the new Auth0 session without a redirect
+ * - Another tab switched to a different account → reload, so no page keeps showing
+ *   the previous user's data
+ *
+ * The events travel through src/services/auth-sync.service.js. It renders nothing.
+ */
+
+import { useAuth0 } from "@auth0/auth0-react";
+import { useEffect, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  AuthEvent,
+  broadcastAuthEvent,
+  subscribeToAuthEvents,
+} from "../services/auth-sync.service";
+import { clearCache } from "../services/response-cache.service";
+
+export const AuthSync = () => {
+  const { isAuthenticated, user, getAccessTokenSilently, logout } = useAuth0();
+  const navigate = useNavigate();
+  const userId = isAuthenticated && user ? user.sub : null;
+
+  // The listener below needs the latest user without subscribing again on each change
+  const userIdRef = useRef(null);
+
+  // Tell the other tabs when this one logs in or switches account
+  useEffect(() => {
+    if (userId && userId !== userIdRef.current) {
+      broadcastAuthEvent(AuthEvent.LOGIN, { userId });
+    }
+
+    userIdRef.current = userId;
+  }, [userId]);
+
+  useEffect(
+    () =>
+      subscribeToAuthEvents((event) => {
+        const currentUserId = userIdRef.current;
+
+        if (event.type === AuthEvent.LOGOUT) {
+          clearCache();
+
+          if (currentUserId) {
+            // Leave first: a protected page would start a new login as soon as the user is gone
+            navigate("/", { replace: true });
+
+            // Only forget the user in this tab: the other tab already ends the Auth0 session
+            logout({ openUrl: false });
+          }
+          return;
+        }
+
+        if (event.type === AuthEvent.LOGIN && event.userId !== currentUserId) {
+          clearCache();
+
+          if (currentUserId) {
+            window.location.reload();
+          } else {
+            // Gets tokens from the new Auth0 session, which also sets `user` and `isAuthenticated`
+            getAccessTokenSilently().catch(() => {
+              // No session after all (e.g. it ended meanwhile): stay logged out
+            });
+          }
+        }
+      }),
+    [getAccessTokenSilently, logout, navigate]
+  );
+
+  return null;
+};
@@ -5,23 +5,69 @@
  * - If user is authenticated → renders the protected component
  * - If user is NOT authenticated → redirects to Auth0 login page
  * - After login → brings user back to the route they originally tried to access
+ * - If the route requires a verified email and the user's isn't → renders a "verify your email" page
+ * - If the route needs permissions/roles the user doesn't have → renders a 403 page
  *
  * Without this guard, protected routes would crash when trying to access user data.
  */
 
-import { withAuthenticationRequired } from "@auth0/auth0-react";
+import { useAuth0, withAuthenticationRequired } from "@auth0/auth0-react";
 import React from "react";
+import { usePermissions } from "../hooks/usePermissions";
+import { ForbiddenPage } from "../pages/forbidden-page";
+import { VerifyEmailPage } from "../pages/verify-email-page";
+import { getCurrentPath } from "../utils/return-to";
 import { PageLoader } from "./page-loader";
 
-export const AuthenticationGuard = ({ component }) => {
-  /**
-   * withAuthenticationRequired is Auth0's Higher-Order Component (HOC) that:
-   * 1. Wraps our component with authentication logic
-   * 2. Checks if user is authenticated before rendering
-   * 3. Automatically handles login redirects and return navigation
-   * 4. Prevents crashes by ensuring user is authenticated before component mounts
-   */
-  const Component = withAuthenticationRequired(component, {
+const PageLoaderLayout = () => (
+  <div className="page-layout">
+    <PageLoader />
+  </div>
+);
+
+/**
+ * Second checkpoint, only reached once the user is authenticated:
+ * being logged in doesn't mean being allowed in. Compares the permissions/roles
+ * the route requires with the ones found in the user's tokens.
+ */
+const AuthorizationCheck = ({
+  component: Component,
+  permissions,
+  roles,
+  requireVerifiedEmail,
+}) => {
+  const { user } = useAuth0();
+  const { isLoading, hasPermissions, hasRoles } = usePermissions();
+
+  // Checked first: accounts with an unverified email usually have no permissions yet,
+  // and a 403 page wouldn't tell them what to do about it
+  if (requireVerifiedEmail && !user.email_verified) {
+    return <VerifyEmailPage />;
+  }
+
+  if (isLoading) {
+    return <PageLoaderLayout />;
+  }
+
+  if (!hasPermissions(permissions) || !hasRoles(roles)) {
+    return <ForbiddenPage permissions={permissions} roles={roles} />;
+  }
+
+  return <Component />;
+};
+
+/**
+ * withAuthenticationRequired is Auth0's Higher-Order Component (HOC) that:
+ * 1. Wraps our component with authentication logic
+ * 2. Checks if user is authenticated before rendering
+ * 3. Automatically handles login redirects and return navigation
+ * 4. Prevents crashes by ensuring user is authenticated before component mounts
+ *
+ * It's created once, outside of the guard, so the protected page isn't remounted on every render.
+ */
+const AuthenticatedAuthorizationCheck = withAuthenticationRequired(
+  AuthorizationCheck,
+  {
     /**
      * onRedirecting: What to show while the authentication check happens and redirect occurs
      * This prevents users from seeing:
@@ -31,16 +77,37 @@ export const AuthenticationGuard = ({ component }) => {
      *
      * Instead, they see a smooth loading experience during the security check.
      */
-    onRedirecting: () => (
-      <div className="page-layout">
-        <PageLoader />
-      </div>
-    ),
-  });
+    onRedirecting: () => <PageLoaderLayout />,
+    /**
+     * returnTo: Where to come back after the login. By default it's the path and the
+     * query string only, so /posts?category=tech#top would lose its hash.
+     */
+    returnTo: getCurrentPath,
+  }
+);
 
+/**
+ * @param {React.ComponentType} component - The page to protect
+ * @param {string[]} permissions - Permissions (from the access token's `permissions` claim) required to see the page
+ * @param {string[]} roles - Roles (from REACT_APP_AUTH0_ROLES_CLAIM) required to see the page
+ * @param {boolean} requireVerifiedEmail - Only let users in once the `email_verified` claim of their ID token is true
+ */
+export const AuthenticationGuard = ({
+  component,
+  permissions = [],
+  roles = [],
+  requireVerifiedEmail = false,
+}) => {
   /**
    * Return the auth-protected version of our component.
    * Now it's safe to use useAuth0() hooks and access user data inside the component.
    */
-  return <Component />;
+  return (
+    <AuthenticatedAuthorizationCheck
+      component={component}
+      permissions={permissions}
+      roles={roles}
+      requireVerifiedEmail={requireVerifiedEmail}
+    />
+  );
 };
@@ -0,0 +1,159 @@
+/**
+ * AccountSwitcher - Switch to another account without logging out first
+ *
+ * It lists the accounts recently used in this browser (src/services/recent-accounts.service.js).
+ * Picking one sends the user to Auth0 with:
+ * - prompt: "select_account", so Auth0 lets them choose an account instead of silently
+ *   reusing the current session (prompt: "login", used by LoginButton, would also work,
+ *   but always asks for the credentials again)
+ * - login_hint: the account's email, so the login form is already filled in
+ *
+ * Other tabs follow the switch on their own (src/components/auth-sync.js).
+ */
+
+import { useAuth0 } from "@auth0/auth0-react";
+import React, { useEffect, useRef, useState } from "react";
+import {
+  forgetAccount,
+  getRecentAccounts,
+  rememberAccount,
+} from "../../services/recent-accounts.service";
+import { createReturnState } from "../../utils/return-to";
+
+export const AccountSwitcher = () => {
+  const { user, loginWithRedirect } = useAuth0();
+  const [isOpen, setIsOpen] = useState(false);
+  const [accounts, setAccounts] = useState([]);
+  const containerRef = useRef(null);
+  const userId = user ? user.sub : null;
+
+  // The current account is always the most recent one
+  useEffect(() => {
+    if (user) {
+      rememberAccount(user);
+      setAccounts(getRecentAccounts());
+    }
+  }, [user]);
+
+  // Close the menu when clicking anywhere else, or pressing Escape
+  useEffect(() => {
+    if (!isOpen) {
+      return;
+    }
+
+    const closeOnOutsideClick = (event) => {
+      if (
+        containerRef.current &&
+        !containerRef.current.contains(event.target)
+      ) {
+        setIsOpen(false);
+      }
+    };
+
+    const closeOnEscape = (event) => {
+      if (event.key === "Escape") {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener("mousedown", closeOnOutsideClick);
+    document.addEventListener("keydown", closeOnEscape);
+
+    return () => {
+      document.removeEventListener("mousedown", closeOnOutsideClick);
+      document.removeEventListener("keydown", closeOnEscape);
+    };
+  }, [isOpen]);
+
+  if (!user) {
+    return null;
+  }
+
+  const otherAccounts = accounts.filter((account) => account.userId !== userId);
+
+  /**
+   * @param {Object} [account] - The account to switch to. Without one, Auth0 shows
+   *   the account picker with nothing pre-filled.
+   */
+  const switchAccount = (account) =>
+    loginWithRedirect({
+      appState: createReturnState(),
+      authorizationParams: {
+        prompt: "select_account",
+        ...(account && account.email && { login_hint: account.email }),
+      },
+    });
+
+  const handleForget = (account) => {
+    forgetAccount(account.userId);
+    setAccounts(getRecentAccounts());
+  };
+
+  return (
+    <div className="account-switcher" ref={containerRef}>
+      <button
+        className="account-switcher__toggle"
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen((wasOpen) => !wasOpen)}
+      >
+        {user.picture && (
+          <img className="account-switcher__avatar" src={user.picture} alt="" />
+        )}
+        <span className="account-switcher__name">
+          {user.name || user.email}
+        </span>
+      </button>
+      {isOpen && (
+        <div className="account-switcher__menu">
+          <p className="account-switcher__heading">Signed in as</p>
+          <p className="account-switcher__current">
+            <strong>{user.name}</strong>
+            <span>{user.email}</span>
+          </p>
+          {otherAccounts.length > 0 && (
+            <>
+              <p className="account-switcher__heading">Switch to</p>
+              <ul className="account-switcher__list">
+                {otherAccounts.map((account) => (
+                  <li key={account.userId} className="account-switcher__item">
+                    <button
+                      className="account-switcher__account"
+                      onClick={() => switchAccount(account)}
+                    >
+                      {account.picture && (
+                        <img
+                          className="account-switcher__avatar"
+                          src={account.picture}
+                          alt=""
+                        />
+                      )}
+                      <span>
+                        <strong>{account.name}</strong>
+                        <span>{account.email}</span>
+                      </span>
+                    </button>
+                    <button
+                      className="account-switcher__forget"
+                      aria-label={`Forget ${account.name}`}
+                      title="Forget this account"
+                      onClick={() => handleForget(account)}
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          <button
+            className="button button--secondary button--compact account-switcher__other"
+            onClick={() => switchAccount()}
+          >
+            Use another account
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
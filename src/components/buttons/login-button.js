@@ -8,6 +8,7 @@
 
 import { useAuth0 } from "@auth0/auth0-react";
 import React from "react";
+import { createReturnState } from "../../utils/return-to";
 
 export const LoginButton = () => {
   /**
@@ -19,11 +20,11 @@ export const LoginButton = () => {
   const handleLogin = async () => {
     await loginWithRedirect({
       /**
-       * By setting up the value of appState.returnTo to /profile, you are telling the Auth0 React SDK the following: When my users log in with Auth0 and return to my React application, take them from the default callback URL path, /callback, to the "Profile" page, /profile. If you don't specify this appState.returnTo option, your users will be redirected by default to the / path after they log in.
+       * appState.returnTo tells the Auth0 React SDK the following: When my users log in with Auth0 and return to my React application, take them from the default callback URL path, /callback, back to the page they were on. If you don't specify this appState.returnTo option, your users will be redirected by default to the / path after they log in.
+       *
+       * createReturnState saves the whole location (e.g. /posts?category=tech#top), plus the scroll position, so nothing is lost on the way.
        */
-      appState: {
-        returnTo: "/profile",
-      },
+      appState: createReturnState({ keepScroll: true }),
       /**
        * Now, the authorizationParams with prompt: "login" is used to ensure that the login page is always shown to the user, even if they have an active session. This forces the user to enter their credentials again, which can be useful in scenarios where you want to ensure that the user is actively logging in rather than being automatically authenticated based on an existing session.
        *
@@ -4,15 +4,14 @@
 
 import { useAuth0 } from "@auth0/auth0-react";
 import React from "react";
+import { createReturnState } from "../../utils/return-to";
 
 export const SignupButton = () => {
   const { loginWithRedirect } = useAuth0();
 
   const handleSignUp = async () => {
     await loginWithRedirect({
-      appState: {
-        returnTo: "/profile",
-      },
+      appState: createReturnState({ keepScroll: true }),
       authorizationParams: {
         prompt: "login",
         /**
@@ -0,0 +1,135 @@
+/**
+ * BarChart - A small bar chart drawn with plain SVG, no charting library needed
+ *
+ * The SVG uses a fixed coordinate system (viewBox) and scales to the width of its
+ * container. Hovering a bar shows its exact value, and screen readers get the
+ * same numbers from the table that backs the chart.
+ */
+
+import React from "react";
+
+const width = 600;
+const height = 220;
+const padding = { top: 16, right: 16, bottom: 32, left: 40 };
+const plotWidth = width - padding.left - padding.right;
+const plotHeight = height - padding.top - padding.bottom;
+
+// Beyond this many bars, only the first, middle and last labels fit under the chart
+const maxLabels = 8;
+
+/**
+ * Rounds the top of the y axis up to a number that's easy to read (1, 2, 5, 10, 20, 50...)
+ */
+const getNiceMax = (value) => {
+  if (value <= 1) {
+    return 1;
+  }
+
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find((factor) => factor * magnitude >= value);
+
+  return step * magnitude;
+};
+
+/**
+ * @param {string} title - Shown above the chart, and used as its accessible name
+ * @param {Array<{ label: string, value: number }>} data
+ * @param {Function} [formatLabel] - Turns a label into the text shown under the bars
+ */
+export const BarChart = ({ title, data, formatLabel = (label) => label }) => {
+  const maxValue = getNiceMax(Math.max(0, ...data.map(({ value }) => value)));
+  const barSlot = plotWidth / Math.max(1, data.length);
+  const barWidth = Math.max(1, barSlot * 0.7);
+
+  const labelIndexes =
+    data.length <= maxLabels
+      ? data.map((item, index) => index)
+      : [0, Math.floor((data.length - 1) / 2), data.length - 1];
+
+  // Whole numbers only: a "2.5 posts" tick would look odd
+  const ticks =
+    maxValue % 2 === 0 ? [0, maxValue / 2, maxValue] : [0, maxValue];
+
+  // With only a few labels spread out, keep the outer ones inside the chart
+  const getLabelAnchor = (index) => {
+    if (data.length <= maxLabels) {
+      return "middle";
+    }
+
+    if (index === 0) {
+      return "start";
+    }
+
+    return index === data.length - 1 ? "end" : "middle";
+  };
+
+  const y = (value) =>
+    padding.top + plotHeight - (value / maxValue) * plotHeight;
+
+  return (
+    <figure className="bar-chart">
+      <figcaption className="bar-chart__title">{title}</figcaption>
+      <svg
+        className="bar-chart__svg"
+        viewBox={`0 0 ${width} ${height}`}
+        role="img"
+        aria-label={title}
+      >
+        {ticks.map((tick) => (
+          <g key={tick}>
+            <line
+              className="bar-chart__grid"
+              x1={padding.left}
+              x2={width - padding.right}
+              y1={y(tick)}
+              y2={y(tick)}
+            />
+            <text
+              className="bar-chart__tick"
+              x={padding.left - 8}
+              y={y(tick)}
+              textAnchor="end"
+              dominantBaseline="middle"
+            >
+              {tick}
+            </text>
+          </g>
+        ))}
+        {data.map(({ label, value }, index) => (
+          <rect
+            key={label}
+            className="bar-chart__bar"
+            x={padding.left + index * barSlot + (barSlot - barWidth) / 2}
+            y={y(value)}
+            width={barWidth}
+            height={padding.top + plotHeight - y(value)}
+          >
+            <title>{`${formatLabel(label)}: ${value}`}</title>
+          </rect>
+        ))}
+        {labelIndexes.map((index) => (
+          <text
+            key={data[index].label}
+            className="bar-chart__label"
+            x={padding.left + index * barSlot + barSlot / 2}
+            y={height - 8}
+            textAnchor={getLabelAnchor(index)}
+          >
+            {formatLabel(data[index].label)}
+          </text>
+        ))}
+      </svg>
+      <table className="bar-chart__table">
+        <caption>{title}</caption>
+        <tbody>
+          {data.map(({ label, value }) => (
+            <tr key={label}>
+              <th scope="row">{formatLabel(label)}</th>
+              <td>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </figure>
+  );
+};
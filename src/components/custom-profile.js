@@ -0,0 +1,296 @@
+/**
+ * CustomProfile - The profile data YOUR backend stores for the logged-in user
+ *
+ * Auth0 tells us who the user is (the ID token claims). Everything else, like a bio or
+ * app preferences, lives in your own database, linked to the Auth0 user ID (`sub`).
+ *
+ * This component:
+ * - loads that data from GET /api/user/profile (see backend-example/server.js)
+ * - lets the user edit it, checking the values before anything is sent
+ * - saves optimistically: the new values show right away, and are rolled back if the save fails
+ */
+
+import React, { useState } from "react";
+import { useApiRequest } from "../hooks/useApiRequest";
+import { useExternalAPI } from "../hooks/useExternalAPI";
+import { ErrorPanel } from "./error-panel";
+import { PageLoader } from "./page-loader";
+
+const displayNameMaxLength = 50;
+const bioMaxLength = 280;
+const themes = ["light", "dark"];
+
+/**
+ * The backend checks the same rules again: this only saves a round trip for obvious mistakes
+ * @returns {Object} Maps each invalid field to a message, empty when everything is valid
+ */
+const validateProfile = (values) => {
+  const errors = {};
+  const displayName = values.displayName.trim();
+
+  if (!displayName) {
+    errors.displayName = "Display name can't be empty.";
+  } else if (displayName.length > displayNameMaxLength) {
+    errors.displayName = `Display name must be at most ${displayNameMaxLength} characters.`;
+  }
+
+  if (values.bio.length > bioMaxLength) {
+    errors.bio = `Bio must be at most ${bioMaxLength} characters.`;
+  }
+
+  if (!themes.includes(values.theme)) {
+    errors.theme = `Theme must be one of: ${themes.join(", ")}.`;
+  }
+
+  return errors;
+};
+
+// The backend reports nested fields by path, e.g. "preferences.theme"
+const serverFieldNames = {
+  displayName: "displayName",
+  bio: "bio",
+  "preferences.theme": "theme",
+  "preferences.notifications": "notifications",
+};
+
+const getServerFieldErrors = (error) => {
+  const fields = (error.details && error.details.fields) || {};
+
+  return Object.keys(fields).reduce(
+    (errors, field) =>
+      serverFieldNames[field]
+        ? { ...errors, [serverFieldNames[field]]: fields[field] }
+        : errors,
+    {}
+  );
+};
+
+const toFormValues = (profile) => ({
+  displayName: profile.displayName || "",
+  bio: profile.bio || "",
+  theme: (profile.preferences && profile.preferences.theme) || themes[0],
+  notifications: profile.preferences
+    ? profile.preferences.notifications !== false
+    : true,
+});
+
+const toProfileChanges = (values) => ({
+  displayName: values.displayName.trim(),
+  bio: values.bio,
+  preferences: {
+    theme: values.theme,
+    notifications: values.notifications,
+  },
+});
+
+const EditableProfile = ({ initialProfile }) => {
+  const { updateUserCustomData } = useExternalAPI();
+  const [profile, setProfile] = useState(initialProfile);
+  const [values, setValues] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saveError, setSaveError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isEditing = values !== null;
+
+  const startEditing = () => {
+    setValues(toFormValues(profile));
+    setFieldErrors({});
+    setSaveError(null);
+  };
+
+  const cancelEditing = () => {
+    setValues(null);
+    setFieldErrors({});
+  };
+
+  const handleChange = (event) => {
+    const { name, type, value, checked } = event.target;
+
+    setValues((currentValues) => ({
+      ...currentValues,
+      [name]: type === "checkbox" ? checked : value,
+    }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const errors = validateProfile(values);
+    setFieldErrors(errors);
+
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    const previousProfile = profile;
+    const submittedValues = values;
+    const changes = toProfileChanges(values);
+
+    // Optimistic update: show the new values before the server confirms them
+    setProfile({
+      ...profile,
+      ...changes,
+      preferences: { ...profile.preferences, ...changes.preferences },
+    });
+    setValues(null);
+    setSaveError(null);
+    setIsSaving(true);
+
+    const { data, error } = await updateUserCustomData(changes);
+
+    setIsSaving(false);
+
+    if (error) {
+      // Roll back, and reopen the form with what the user typed so nothing is lost
+      setProfile(previousProfile);
+      setValues(submittedValues);
+      setFieldErrors(getServerFieldErrors(error));
+      setSaveError(error);
+      return;
+    }
+
+    // The server's copy is the source of truth (e.g. it sets updatedAt)
+    setProfile(data);
+  };
+
+  if (isEditing) {
+    return (
+      <form className="custom-profile__form" onSubmit={handleSubmit} noValidate>
+        <label className="custom-profile__label" htmlFor="displayName">
+          Display name
+        </label>
+        <input
+          id="displayName"
+          name="displayName"
+          className="custom-profile__input"
+          value={values.displayName}
+          onChange={handleChange}
+          maxLength={displayNameMaxLength}
+          aria-invalid={Boolean(fieldErrors.displayName)}
+          aria-describedby="displayName-error"
+        />
+        <span id="displayName-error" className="custom-profile__error">
+          {fieldErrors.displayName}
+        </span>
+
+        <label className="custom-profile__label" htmlFor="bio">
+          Bio
+        </label>
+        <textarea
+          id="bio"
+          name="bio"
+          className="custom-profile__input"
+          rows={4}
+          value={values.bio}
+          onChange={handleChange}
+          aria-invalid={Boolean(fieldErrors.bio)}
+          aria-describedby="bio-hint bio-error"
+        />
+        <span id="bio-hint" className="custom-profile__hint">
+          {values.bio.length}/{bioMaxLength}
+        </span>
+        <span id="bio-error" className="custom-profile__error">
+          {fieldErrors.bio}
+        </span>
+
+        <label className="custom-profile__label" htmlFor="theme">
+          Theme
+        </label>
+        <select
+          id="theme"
+          name="theme"
+          className="custom-profile__input"
+          value={values.theme}
+          onChange={handleChange}
+          aria-invalid={Boolean(fieldErrors.theme)}
+          aria-describedby="theme-error"
+        >
+          {themes.map((theme) => (
+            <option key={theme} value={theme}>
+              {theme}
+            </option>
+          ))}
+        </select>
+        <span id="theme-error" className="custom-profile__error">
+          {fieldErrors.theme}
+        </span>
+
+        <label className="custom-profile__checkbox">
+          <input
+            type="checkbox"
+            name="notifications"
+            checked={values.notifications}
+            onChange={handleChange}
+          />
+          Email me notifications
+        </label>
+        <span className="custom-profile__error">
+          {fieldErrors.notifications}
+        </span>
+
+        {saveError && <ErrorPanel error={saveError} />}
+
+        <div className="custom-profile__actions">
+          <button className="button button--primary button--compact">
+            Save
+          </button>
+          <button
+            type="button"
+            className="button button--secondary button--compact"
+            onClick={cancelEditing}
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="custom-profile__view">
+      <dl className="custom-profile__fields">
+        <dt>Display name</dt>
+        <dd>{profile.displayName}</dd>
+        <dt>Bio</dt>
+        <dd>{profile.bio || <em>No bio yet</em>}</dd>
+        <dt>Theme</dt>
+        <dd>{profile.preferences && profile.preferences.theme}</dd>
+        <dt>Notifications</dt>
+        <dd>
+          {profile.preferences && profile.preferences.notifications
+            ? "On"
+            : "Off"}
+        </dd>
+      </dl>
+      <div className="custom-profile__actions">
+        <button
+          className="button button--primary button--compact"
+          onClick={startEditing}
+          disabled={isSaving}
+        >
+          {isSaving ? "Saving..." : "Edit profile"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export const CustomProfile = () => {
+  const { getUserCustomData } = useExternalAPI();
+  const { data, error, isLoading, reload } = useApiRequest(getUserCustomData);
+
+  if (error) {
+    return <ErrorPanel error={error} onRetry={reload} isRetrying={isLoading} />;
+  }
+
+  if (isLoading || !data) {
+    return (
+      <div className="custom-profile__loader">
+        <PageLoader />
+      </div>
+    );
+  }
+
+  return <EditableProfile initialProfile={data} />;
+};
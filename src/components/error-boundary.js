@@ -0,0 +1,79 @@
+/**
+ * ErrorBoundary - Stops a crash in one part of the UI from blanking the whole app
+ *
+ * If any component below it throws while rendering, React unmounts the whole tree
+ * unless an error boundary catches it. This one:
+ * - reports the error (src/services/error-reporter.service.js) with the route and user `sub`
+ * - renders a fallback with a "Try again" button that re-renders the children
+ * - resets by itself when the route changes, so navigating away always works
+ *
+ * Error boundaries have to be class components: there's no hook for componentDidCatch yet.
+ */
+
+import { useAuth0 } from "@auth0/auth0-react";
+import React from "react";
+import { useLocation } from "react-router-dom";
+import { reportError } from "../services/error-reporter.service";
+
+class ErrorBoundaryBase extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+    this.reset = this.reset.bind(this);
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, errorInfo) {
+    this.props.onError(error, errorInfo);
+  }
+
+  componentDidUpdate(previousProps) {
+    if (this.state.error && previousProps.resetKey !== this.props.resetKey) {
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.setState({ error: null });
+  }
+
+  render() {
+    const { error } = this.state;
+    const { fallback: Fallback, children } = this.props;
+
+    if (error) {
+      return <Fallback error={error} reset={this.reset} />;
+    }
+
+    return children;
+  }
+}
+
+/**
+ * @param {React.ComponentType} fallback - Rendered instead of the children after a crash, receives { error, reset }
+ */
+export const ErrorBoundary = ({ fallback, children }) => {
+  const location = useLocation();
+  const { user } = useAuth0();
+
+  const handleError = (error, errorInfo) => {
+    reportError(error, {
+      route: `${location.pathname}${location.search}`,
+      userId: user?.sub || null,
+      componentStack: errorInfo.componentStack,
+    });
+  };
+
+  return (
+    <ErrorBoundaryBase
+      fallback={fallback}
+      onError={handleError}
+      resetKey={location.pathname}
+    >
+      {children}
+    </ErrorBoundaryBase>
+  );
+};
@@ -0,0 +1,55 @@
+import React from "react";
+import { CodeSnippet } from "./code-snippet";
+
+/**
+ * What a crashed page shows instead of its content. The NavBar around it keeps working.
+ */
+export const ErrorFallback = ({ error, reset }) => (
+  <div className="content-layout">
+    <div className="error-panel" role="alert">
+      <h2 className="error-panel__title">This page ran into a problem</h2>
+      <p className="error-panel__description">
+        Something unexpected happened while showing this page. It has been
+        reported. You can try again or go to another page.
+      </p>
+      <button
+        className="button button--primary button--compact error-panel__retry"
+        onClick={reset}
+      >
+        Try again
+      </button>
+      <details className="error-panel__details">
+        <summary>Details</summary>
+        <CodeSnippet title={error.name} code={error.message} />
+      </details>
+    </div>
+  </div>
+);
+
+/**
+ * Last resort, when the crash happened outside of a page (e.g. in the NavBar itself).
+ * It doesn't render any shared component, since one of them may be what's broken.
+ */
+export const AppErrorFallback = ({ reset }) => (
+  <div className="page-layout">
+    <div className="page-layout__content">
+      <div className="content-layout">
+        <div className="error-panel" role="alert">
+          <h2 className="error-panel__title">Something went wrong</h2>
+          <p className="error-panel__description">
+            The app ran into an unexpected problem. It has been reported.
+          </p>
+          <button
+            className="button button--primary button--compact error-panel__retry"
+            onClick={reset}
+          >
+            Try again
+          </button>
+          <a className="error-panel__home-link" href="/">
+            Back to the home page
+          </a>
+        </div>
+      </div>
+    </div>
+  </div>
+);
@@ -0,0 +1,96 @@
+/**
+ * ErrorPanel - Explains a failed API call in plain words
+ *
+ * Takes an error from the API client (src/services/external-api.service.js) and shows:
+ * - a friendly title and explanation based on the error type
+ * - a "Try again" button, when trying again can actually help
+ * - the raw error in a collapsed "Details" section, for developers
+ */
+
+import React from "react";
+import { ApiErrorType } from "../services/external-api.service";
+import { CodeSnippet } from "./code-snippet";
+
+const errorContent = {
+  [ApiErrorType.NETWORK]: {
+    title: "Can't reach the server",
+    description:
+      "Check your internet connection. If it works, the API server may be down.",
+    canRetry: true,
+  },
+  [ApiErrorType.TIMEOUT]: {
+    title: "The server took too long to answer",
+    description: "It may be busy right now. Please try again in a moment.",
+    canRetry: true,
+  },
+  [ApiErrorType.UNAUTHORIZED]: {
+    title: "Your session has expired",
+    description: "Log out and log in again to keep going.",
+    canRetry: true,
+  },
+  [ApiErrorType.STEP_UP_REQUIRED]: {
+    title: "Please confirm it's you",
+    description:
+      "This action needs a recent login. Try again, and log in when asked.",
+    canRetry: true,
+  },
+  [ApiErrorType.FORBIDDEN]: {
+    title: "You don't have access to this",
+    description:
+      "Your account is missing the permission needed. Ask an administrator if you think this is a mistake.",
+    canRetry: false,
+  },
+  [ApiErrorType.NOT_FOUND]: {
+    title: "Not found",
+    description: "What you're looking for doesn't exist, or it was removed.",
+    canRetry: false,
+  },
+  [ApiErrorType.SERVER]: {
+    title: "Something went wrong on our side",
+    description: "The server ran into a problem. Please try again later.",
+    canRetry: true,
+  },
+  [ApiErrorType.VALIDATION]: {
+    title: "Some information isn't valid",
+    description: "Please review what you entered and try again.",
+    canRetry: false,
+  },
+  [ApiErrorType.UNKNOWN]: {
+    title: "Something went wrong",
+    description: "An unexpected error happened. Please try again.",
+    canRetry: true,
+  },
+};
+
+/**
+ * @param {Object} error - An ApiError ({ type, message, status, ... })
+ * @param {Function} [onRetry] - Shows a "Try again" button that calls it
+ * @param {boolean} [isRetrying] - Disables the button while the retry is in progress
+ */
+export const ErrorPanel = ({ error, onRetry, isRetrying = false }) => {
+  const { title, description, canRetry } =
+    errorContent[error.type] || errorContent[ApiErrorType.UNKNOWN];
+
+  return (
+    <div className="error-panel" role="alert">
+      <h2 className="error-panel__title">{title}</h2>
+      <p className="error-panel__description">{description}</p>
+      {canRetry && onRetry && (
+        <button
+          className="button button--primary button--compact error-panel__retry"
+          onClick={onRetry}
+          disabled={isRetrying}
+        >
+          {isRetrying ? "Trying again..." : "Try again"}
+        </button>
+      )}
+      <details className="error-panel__details">
+        <summary>Details</summary>
+        <CodeSnippet
+          title={error.status ? `HTTP ${error.status}` : "Error"}
+          code={JSON.stringify(error, null, 2)}
+        />
+      </details>
+    </div>
+  );
+};
@@ -0,0 +1,184 @@
+/**
+ * LinkedIdentities - The accounts linked to the user, with link and unlink actions
+ *
+ * Auth0 can link several identities (e.g. a password account and a Google account) into
+ * one user, who can then log in with any of them. The list comes from the `identities`
+ * claim of the ID token. Auth0 doesn't add that claim by itself: add it with a Login
+ * Action (`api.idToken.setCustomClaim("identities", event.user.identities)`).
+ *
+ * Linking needs proof that the user can log in with the other account too. So the user
+ * logs in with it in a popup, through a SECOND Auth0 provider with its OWN client ID
+ * (REACT_APP_AUTH0_LINKING_CLIENT_ID): its tokens and its "is authenticated" cookie never
+ * mix with the app's. Your backend then checks that account's access token with Auth0
+ * and links it (see backend-example/server.js).
+ *
+ * IMPORTANT: Auth0 has one session per browser for the whole tenant, and the popup login
+ * replaces it with the other account's. Once linked, that account logs in as this user,
+ * so nothing changes. If linking fails, that session is ended right away: otherwise the
+ * app's next silent token refresh would return the other account's tokens.
+ */
+
+import { Auth0Provider, initialContext, useAuth0 } from "@auth0/auth0-react";
+import React, { createContext, useState } from "react";
+import { config } from "../config";
+import { useExternalAPI } from "../hooks/useExternalAPI";
+import { ApiErrorType } from "../services/external-api.service";
+import { ErrorPanel } from "./error-panel";
+
+// The second provider's state lives in its own context, next to the app's one
+const LinkingContext = createContext(initialContext);
+
+// Closing the popup isn't an error worth showing
+const isPopupCancelled = (error) =>
+  ["cancelled", "popup_cancelled"].includes(error.error);
+
+const getIdentityId = ({ provider, user_id: userId }) =>
+  `${provider}|${userId}`;
+
+const IdentityList = () => {
+  const { user } = useAuth0();
+  const linkingAuth0 = useAuth0(LinkingContext);
+  const { linkIdentity, unlinkIdentity } = useExternalAPI();
+
+  // The claim is only as fresh as the ID token: after a change, the backend's answer is
+  const [identities, setIdentities] = useState(
+    Array.isArray(user.identities) ? user.identities : null
+  );
+  // "link" or the ID of the identity being unlinked, while a change is saved
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * Ends the Auth0 session the popup opened for the other account, without leaving the
+   * page. The app keeps its tokens until they expire, then asks the user to log in again.
+   */
+  const endOtherAccountSession = () =>
+    linkingAuth0.logout({
+      openUrl: (url) =>
+        fetch(url, { mode: "no-cors", credentials: "include" }).catch(() => {
+          // Nothing more to do: the session still expires on its own
+        }),
+    });
+
+  const handleLink = async () => {
+    setError(null);
+    setPendingAction("link");
+
+    let accessToken;
+
+    try {
+      // Only an access token is needed: nothing is stored for the app's own client
+      accessToken = await linkingAuth0.getAccessTokenWithPopup({
+        authorizationParams: { prompt: "login" },
+      });
+    } catch (popupError) {
+      if (!isPopupCancelled(popupError)) {
+        setError({
+          type: ApiErrorType.UNKNOWN,
+          message: popupError.message,
+          status: null,
+        });
+      }
+      setPendingAction(null);
+      return;
+    }
+
+    const result = await linkIdentity(accessToken);
+
+    if (result.error) {
+      await endOtherAccountSession();
+      setError(result.error);
+    } else {
+      setIdentities(result.data.identities);
+    }
+
+    setPendingAction(null);
+  };
+
+  const handleUnlink = async (identity) => {
+    setError(null);
+    setPendingAction(getIdentityId(identity));
+
+    const result = await unlinkIdentity(identity.provider, identity.user_id);
+
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setIdentities(result.data.identities);
+    }
+
+    setPendingAction(null);
+  };
+
+  return (
+    <>
+      {identities ? (
+        <ul className="linked-identities__list">
+          {identities.map((identity) => {
+            const identityId = getIdentityId(identity);
+            const isPrimary = identityId === user.sub;
+
+            return (
+              <li key={identityId} className="linked-identities__item">
+                <span className="linked-identities__identity">
+                  <strong>{identity.connection || identity.provider}</strong>
+                  <code>{identityId}</code>
+                </span>
+                {isPrimary ? (
+                  <span className="linked-identities__badge">Primary</span>
+                ) : (
+                  <button
+                    className="button button--secondary button--compact"
+                    onClick={() => handleUnlink(identity)}
+                    disabled={pendingAction !== null}
+                  >
+                    {pendingAction === identityId ? "Unlinking..." : "Unlink"}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="linked-identities__empty">
+          Your ID token has no <code>identities</code> claim. Add it with an
+          Auth0 Action to list your linked accounts here.
+        </p>
+      )}
+      <button
+        className="button button--primary button--compact linked-identities__link"
+        onClick={handleLink}
+        disabled={pendingAction !== null}
+      >
+        {pendingAction === "link" ? "Linking..." : "Link another account"}
+      </button>
+      {error && <ErrorPanel error={error} />}
+    </>
+  );
+};
+
+export const LinkedIdentities = () => {
+  if (!config.auth0.linkingClientId) {
+    return (
+      <p className="linked-identities__empty">
+        Set <code>REACT_APP_AUTH0_LINKING_CLIENT_ID</code> to link accounts.
+      </p>
+    );
+  }
+
+  return (
+    <Auth0Provider
+      context={LinkingContext}
+      domain={config.auth0.domain}
+      clientId={config.auth0.linkingClientId}
+      authorizationParams={{
+        audience: config.auth0.audience,
+        redirect_uri: config.auth0.callbackUrl,
+      }}
+      // The app's provider handles /callback: this one only ever logs in with a popup
+      skipRedirectCallback
+    >
+      <IdentityList />
+    </Auth0Provider>
+  );
+};
@@ -1,15 +1,17 @@
 import { useAuth0 } from "@auth0/auth0-react";
 import React from "react";
+import { AccountSwitcher } from "../../buttons/account-switcher";
 import { LoginButton } from "../../buttons/login-button";
 import { LogoutButton } from "../../buttons/logout-button";
 import { SignupButton } from "../../buttons/signup-button";
 
 export const NavBarButtons = () => {
-  const { isAuthenticated } = useAuth0();
+  const { isAuthenticated, isLoading } = useAuth0();
 
   return (
     <div className="nav-bar__buttons">
-      {!isAuthenticated && (
+      {/* Nothing while the callback page finishes a login */}
+      {!isAuthenticated && !isLoading && (
         <>
           <SignupButton />
           <LoginButton />
@@ -17,6 +19,7 @@ export const NavBarButtons = () => {
       )}
       {isAuthenticated && (
         <>
+          <AccountSwitcher />
           <LogoutButton />
         </>
       )}
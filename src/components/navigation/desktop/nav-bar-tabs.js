@@ -1,9 +1,11 @@
 import { useAuth0 } from "@auth0/auth0-react";
 import React from "react";
+import { Permission, usePermissions } from "../../../hooks/usePermissions";
 import { NavBarTab } from "./nav-bar-tab";
 
 export const NavBarTabs = () => {
   const { isAuthenticated } = useAuth0();
+  const { hasPermissions } = usePermissions();
 
   return (
     <div className="nav-bar__tabs">
@@ -12,7 +14,15 @@ export const NavBarTabs = () => {
       {isAuthenticated && (
         <>
           <NavBarTab path="/protected" label="Protected" />
-          <NavBarTab path="/admin" label="Admin" />
+          {hasPermissions([Permission.READ_POSTS]) && (
+            <NavBarTab path="/posts" label="Posts" />
+          )}
+          {hasPermissions([Permission.READ_ANALYTICS]) && (
+            <NavBarTab path="/analytics" label="Analytics" />
+          )}
+          {hasPermissions([Permission.READ_ADMIN_MESSAGES]) && (
+            <NavBarTab path="/admin" label="Admin" />
+          )}
         </>
       )}
     </div>
@@ -1,9 +1,11 @@
 import { useAuth0 } from "@auth0/auth0-react";
 import React from "react";
+import { Permission, usePermissions } from "../../../hooks/usePermissions";
 import { MobileNavBarTab } from "./mobile-nav-bar-tab";
 
 export const MobileNavBarTabs = ({ handleClick }) => {
   const { isAuthenticated } = useAuth0();
+  const { hasPermissions } = usePermissions();
 
   return (
     <div className="mobile-nav-bar__tabs">
@@ -24,11 +26,27 @@ export const MobileNavBarTabs = ({ handleClick }) => {
             label="Protected"
             handleClick={handleClick}
           />
-          <MobileNavBarTab
-            path="/admin"
-            label="Admin"
-            handleClick={handleClick}
-          />
+          {hasPermissions([Permission.READ_POSTS]) && (
+            <MobileNavBarTab
+              path="/posts"
+              label="Posts"
+              handleClick={handleClick}
+            />
+          )}
+          {hasPermissions([Permission.READ_ANALYTICS]) && (
+            <MobileNavBarTab
+              path="/analytics"
+              label="Analytics"
+              handleClick={handleClick}
+            />
+          )}
+          {hasPermissions([Permission.READ_ADMIN_MESSAGES]) && (
+            <MobileNavBarTab
+              path="/admin"
+              label="Admin"
+              handleClick={handleClick}
+            />
+          )}
         </>
       )}
     </div>
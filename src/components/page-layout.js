@@ -1,4 +1,6 @@
 import React from "react";
+import { ErrorBoundary } from "./error-boundary";
+import { ErrorFallback } from "./error-fallback";
 import { NavBar } from "./navigation/desktop/nav-bar";
 import { MobileNavBar } from "./navigation/mobile/mobile-nav-bar";
 import { PageFooter } from "./page-footer";
@@ -8,7 +10,10 @@ export const PageLayout = ({ children }) => {
     <div className="page-layout">
       <NavBar />
       <MobileNavBar />
-      <div className="page-layout__content">{children}</div>
+      <div className="page-layout__content">
+        {/* A crash inside the page only replaces the page: the navigation keeps working */}
+        <ErrorBoundary fallback={ErrorFallback}>{children}</ErrorBoundary>
+      </div>
       <PageFooter />
     </div>
   );
@@ -0,0 +1,42 @@
+/**
+ * Pagination - Previous/next controls for a paginated API response
+ */
+
+import React from "react";
+
+/**
+ * @param {Object} pagination - The `pagination` metadata returned by the API
+ *   ({ page, totalPages, total, hasNextPage, hasPreviousPage })
+ * @param {Function} onPageChange - Receives the page number to show
+ * @param {boolean} [isLoading] - Disables the buttons while a page is loading
+ */
+export const Pagination = ({ pagination, onPageChange, isLoading = false }) => {
+  const { page, totalPages, total, hasNextPage, hasPreviousPage } = pagination;
+
+  // Nothing to page through
+  if (totalPages <= 1) {
+    return null;
+  }
+
+  return (
+    <nav className="pagination" aria-label="Pagination">
+      <button
+        className="button button--secondary button--compact"
+        onClick={() => onPageChange(page - 1)}
+        disabled={!hasPreviousPage || isLoading}
+      >
+        Previous
+      </button>
+      <span className="pagination__status" aria-live="polite">
+        Page {page} of {totalPages} · {total} results
+      </span>
+      <button
+        className="button button--secondary button--compact"
+        onClick={() => onPageChange(page + 1)}
+        disabled={!hasNextPage || isLoading}
+      >
+        Next
+      </button>
+    </nav>
+  );
+};
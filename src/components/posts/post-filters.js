@@ -0,0 +1,110 @@
+/**
+ * PostFilters - Search, category filter and sort order for the posts list
+ *
+ * The category and sort apply as soon as they change. The search applies when the
+ * form is submitted, so typing doesn't send a request for every keystroke.
+ */
+
+import React, { useEffect, useState } from "react";
+import { postCategories } from "./post-form";
+
+export const postSortOptions = [
+  { value: "newest", label: "Newest first" },
+  { value: "oldest", label: "Oldest first" },
+  { value: "updated", label: "Recently updated" },
+  { value: "title", label: "Title (A-Z)" },
+];
+
+/**
+ * @param {Object} query - The current `{ category, q, sort }`
+ * @param {Function} onChange - Receives the values that changed, e.g. `{ sort: "oldest" }`
+ */
+export const PostFilters = ({ query, onChange }) => {
+  const [search, setSearch] = useState(query.q);
+
+  // The query can also change from outside, e.g. with the browser's back button
+  useEffect(() => {
+    setSearch(query.q);
+  }, [query.q]);
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    onChange({ q: search.trim() });
+  };
+
+  const clearSearch = () => {
+    setSearch("");
+    onChange({ q: "" });
+  };
+
+  return (
+    <div className="post-filters">
+      <form
+        className="post-filters__search"
+        role="search"
+        onSubmit={handleSearch}
+      >
+        <label className="post-filters__label" htmlFor="posts-search">
+          Search
+        </label>
+        <div className="post-filters__search-row">
+          <input
+            id="posts-search"
+            type="search"
+            className="post-filters__input"
+            placeholder="Title or content"
+            value={search}
+            onChange={(event) => setSearch(event.target.value)}
+          />
+          <button className="button button--primary button--compact">
+            Search
+          </button>
+          {query.q && (
+            <button
+              type="button"
+              className="button button--secondary button--compact"
+              onClick={clearSearch}
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </form>
+      <div className="post-filters__field">
+        <label className="post-filters__label" htmlFor="posts-category">
+          Category
+        </label>
+        <select
+          id="posts-category"
+          className="post-filters__input"
+          value={query.category}
+          onChange={(event) => onChange({ category: event.target.value })}
+        >
+          <option value="">All categories</option>
+          {postCategories.map((category) => (
+            <option key={category} value={category}>
+              {category}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="post-filters__field">
+        <label className="post-filters__label" htmlFor="posts-sort">
+          Sort by
+        </label>
+        <select
+          id="posts-sort"
+          className="post-filters__input"
+          value={query.sort}
+          onChange={(event) => onChange({ sort: event.target.value })}
+        >
+          {postSortOptions.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
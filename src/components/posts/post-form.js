@@ -0,0 +1,187 @@
+/**
+ * PostForm - Creates a new post, or edits an existing one
+ *
+ * The values are checked before anything is sent, with the same rules as the backend
+ * (backend-example/validation.js). When the backend still rejects the post, the messages
+ * it returns for each field are shown next to the matching input.
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { ErrorPanel } from "../error-panel";
+
+const titleMaxLength = 120;
+const contentMaxLength = 5000;
+
+export const postCategories = ["general", "tech", "programming", "news"];
+
+const validatePost = (values) => {
+  const errors = {};
+  const title = values.title.trim();
+  const content = values.content.trim();
+
+  if (!title) {
+    errors.title = "Title is required.";
+  } else if (title.length > titleMaxLength) {
+    errors.title = `Title must be at most ${titleMaxLength} characters.`;
+  }
+
+  if (!content) {
+    errors.content = "Content is required.";
+  } else if (content.length > contentMaxLength) {
+    errors.content = `Content must be at most ${contentMaxLength} characters.`;
+  }
+
+  if (!postCategories.includes(values.category)) {
+    errors.category = `Category must be one of: ${postCategories.join(", ")}.`;
+  }
+
+  return errors;
+};
+
+/**
+ * @param {Object} [post] - The post to edit. Leave it out to create a new post.
+ * @param {Function} onSubmit - Receives `{ title, content, category }` and resolves to `{ error }`
+ * @param {Function} onCancel - Closes the form without saving
+ */
+export const PostForm = ({ post, onSubmit, onCancel }) => {
+  const [values, setValues] = useState({
+    title: post ? post.title : "",
+    content: post ? post.content : "",
+    category: post && post.category ? post.category : postCategories[0],
+  });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [submitError, setSubmitError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const titleInputRef = useRef(null);
+
+  // Focusing the first field also scrolls the form into view
+  useEffect(() => {
+    titleInputRef.current.focus();
+  }, []);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+
+    setValues((currentValues) => ({ ...currentValues, [name]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const errors = validatePost(values);
+    setFieldErrors(errors);
+    setSubmitError(null);
+
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    const { error } = await onSubmit({
+      title: values.title.trim(),
+      content: values.content.trim(),
+      category: values.category,
+    });
+
+    if (error) {
+      setFieldErrors((error.details && error.details.fields) || {});
+      setSubmitError(error);
+      setIsSubmitting(false);
+    }
+  };
+
+  const titleId = post ? `post-${post.id}-title` : "new-post-title";
+
+  return (
+    <form
+      className="post-form"
+      onSubmit={handleSubmit}
+      aria-labelledby={titleId}
+      noValidate
+    >
+      <h2 id={titleId} className="post-form__title">
+        {post ? "Edit post" : "New post"}
+      </h2>
+
+      <label className="post-form__label" htmlFor="post-title">
+        Title
+      </label>
+      <input
+        id="post-title"
+        name="title"
+        ref={titleInputRef}
+        className="post-form__input"
+        value={values.title}
+        onChange={handleChange}
+        maxLength={titleMaxLength}
+        aria-invalid={Boolean(fieldErrors.title)}
+        aria-describedby="post-title-error"
+      />
+      <span id="post-title-error" className="post-form__error">
+        {fieldErrors.title}
+      </span>
+
+      <label className="post-form__label" htmlFor="post-content">
+        Content
+      </label>
+      <textarea
+        id="post-content"
+        name="content"
+        className="post-form__input"
+        rows={6}
+        value={values.content}
+        onChange={handleChange}
+        aria-invalid={Boolean(fieldErrors.content)}
+        aria-describedby="post-content-hint post-content-error"
+      />
+      <span id="post-content-hint" className="post-form__hint">
+        {values.content.length}/{contentMaxLength}
+      </span>
+      <span id="post-content-error" className="post-form__error">
+        {fieldErrors.content}
+      </span>
+
+      <label className="post-form__label" htmlFor="post-category">
+        Category
+      </label>
+      <select
+        id="post-category"
+        name="category"
+        className="post-form__input"
+        value={values.category}
+        onChange={handleChange}
+        aria-invalid={Boolean(fieldErrors.category)}
+        aria-describedby="post-category-error"
+      >
+        {postCategories.map((category) => (
+          <option key={category} value={category}>
+            {category}
+          </option>
+        ))}
+      </select>
+      <span id="post-category-error" className="post-form__error">
+        {fieldErrors.category}
+      </span>
+
+      {submitError && <ErrorPanel error={submitError} />}
+
+      <div className="post-form__actions">
+        <button
+          className="button button--primary button--compact"
+          disabled={isSubmitting}
+        >
+          {isSubmitting ? "Saving..." : post ? "Save changes" : "Publish"}
+        </button>
+        <button
+          type="button"
+          className="button button--secondary button--compact"
+          onClick={onCancel}
+          disabled={isSubmitting}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
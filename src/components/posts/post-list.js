@@ -0,0 +1,118 @@
+/**
+ * PostList - Shows the user's posts, with edit and delete actions
+ *
+ * Deleting asks for confirmation first, right inside the post, because it can't be undone.
+ */
+
+import React, { useState } from "react";
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+const PostListItem = ({ post, canEdit, onEdit, onDelete }) => {
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+
+    const { error } = await onDelete(post);
+
+    // On success the post disappears from the list, so there's nothing to reset
+    if (error) {
+      setIsDeleting(false);
+      setIsConfirmingDelete(false);
+    }
+  };
+
+  return (
+    <li className="post-list__item">
+      <article>
+        <header className="post-list__header">
+          <h2 className="post-list__title">{post.title}</h2>
+          <span className="post-list__category">{post.category}</span>
+        </header>
+        <p className="post-list__content">{post.content}</p>
+        <footer className="post-list__footer">
+          <span className="post-list__date">
+            {post.updatedAt && post.updatedAt !== post.createdAt
+              ? `Updated ${formatDate(post.updatedAt)}`
+              : `Published ${formatDate(post.createdAt)}`}
+          </span>
+          {canEdit && !isConfirmingDelete && (
+            <div className="post-list__actions">
+              <button
+                className="button button--secondary button--compact"
+                onClick={() => onEdit(post)}
+              >
+                Edit
+              </button>
+              <button
+                className="button button--compact button--danger"
+                onClick={() => setIsConfirmingDelete(true)}
+              >
+                Delete
+              </button>
+            </div>
+          )}
+          {canEdit && isConfirmingDelete && (
+            <div className="post-list__actions" role="alertdialog">
+              <span className="post-list__confirm">Delete this post?</span>
+              <button
+                className="button button--compact button--danger"
+                onClick={handleDelete}
+                disabled={isDeleting}
+              >
+                {isDeleting ? "Deleting..." : "Yes, delete"}
+              </button>
+              <button
+                className="button button--secondary button--compact"
+                onClick={() => setIsConfirmingDelete(false)}
+                disabled={isDeleting}
+              >
+                Cancel
+              </button>
+            </div>
+          )}
+        </footer>
+      </article>
+    </li>
+  );
+};
+
+/**
+ * @param {Object[]} posts
+ * @param {boolean} canEdit - Shows the edit and delete buttons (write:posts)
+ * @param {Function} onEdit - Receives the post to edit
+ * @param {Function} onDelete - Receives the post to delete and resolves to `{ error }`
+ * @param {string} [emptyMessage] - Shown when there are no posts
+ * @param {boolean} [isLoading] - Dims the list while newer results are loading
+ */
+export const PostList = ({
+  posts,
+  canEdit,
+  onEdit,
+  onDelete,
+  emptyMessage = "No posts yet.",
+  isLoading = false,
+}) => {
+  if (posts.length === 0) {
+    return <p className="post-list__empty">{emptyMessage}</p>;
+  }
+
+  return (
+    <ul
+      className={isLoading ? "post-list post-list--loading" : "post-list"}
+      aria-busy={isLoading}
+    >
+      {posts.map((post) => (
+        <PostListItem
+          key={post.id}
+          post={post}
+          canEdit={canEdit}
+          onEdit={onEdit}
+          onDelete={onDelete}
+        />
+      ))}
+    </ul>
+  );
+};
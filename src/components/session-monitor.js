@@ -0,0 +1,85 @@
+/**
+ * SessionMonitor - Warns before the session ends, and logs out when it does
+ *
+ * The timing lives in src/hooks/useSessionMonitor.js. This component only shows the
+ * countdown dialog, on top of whatever page is open.
+ */
+
+import React, { useEffect, useRef } from "react";
+import { config } from "../config";
+import { useSessionMonitor } from "../hooks/useSessionMonitor";
+
+// How long before the end the countdown starts, in milliseconds
+const warningTime = 60 * 1000;
+
+const warningMessages = {
+  idle: "You haven't done anything for a while. For your security, you'll be logged out",
+  token: "Your session is about to expire. You'll be logged out",
+};
+
+export const SessionMonitor = () => {
+  const { warning, isRefreshing, refreshError, staySignedIn, logout } =
+    useSessionMonitor({ idleTimeout: config.session.idleTimeout, warningTime });
+  const stayButtonRef = useRef(null);
+  const isOpen = warning !== null;
+
+  // Move the focus into the dialog, so keyboard and screen reader users notice it
+  useEffect(() => {
+    if (isOpen && stayButtonRef.current) {
+      stayButtonRef.current.focus();
+    }
+  }, [isOpen]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  return (
+    <div className="session-monitor">
+      <div
+        className="session-monitor__dialog"
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="session-monitor-title"
+        aria-describedby="session-monitor-description"
+      >
+        <h2 id="session-monitor-title" className="session-monitor__title">
+          Are you still there?
+        </h2>
+        <p
+          id="session-monitor-description"
+          className="session-monitor__description"
+        >
+          {warningMessages[warning.reason]} in{" "}
+          <strong>
+            {warning.secondsLeft} second{warning.secondsLeft === 1 ? "" : "s"}
+          </strong>
+          .
+        </p>
+        {refreshError && (
+          <p className="session-monitor__error" role="alert">
+            Your session couldn't be extended. Log in again to keep going.
+          </p>
+        )}
+        <div className="session-monitor__actions">
+          {!refreshError && (
+            <button
+              ref={stayButtonRef}
+              className="button button--primary button--compact"
+              onClick={staySignedIn}
+              disabled={isRefreshing}
+            >
+              {isRefreshing ? "Staying signed in..." : "Stay signed in"}
+            </button>
+          )}
+          <button
+            className="button button--secondary button--compact"
+            onClick={logout}
+          >
+            Log out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,192 @@
+/**
+ * Central place for every REACT_APP_* setting the app needs.
+ *
+ * Create React App only exposes environment variables that start with REACT_APP_,
+ * and it bakes them into the bundle when the dev server starts (or at build time).
+ * So if you change your .env file, restart `npm start`.
+ *
+ * Instead of reading process.env all over the codebase, components and services import
+ * `config` from here. `configErrors` lists everything that is missing or malformed, so the
+ * app can show a helpful diagnostic page instead of a blank screen.
+ */
+
+/**
+ * Every variable the app reads. `required: false` means the app works without it.
+ */
+export const configVariables = [
+  {
+    name: "REACT_APP_AUTH0_DOMAIN",
+    required: true,
+    validate: "domain",
+    example: "your-tenant.us.auth0.com",
+    description:
+      "Your Auth0 tenant domain (Applications → your app → Settings → Domain).",
+  },
+  {
+    name: "REACT_APP_AUTH0_CLIENT_ID",
+    required: true,
+    validate: "identifier",
+    example: "aBcD1234eFgH5678",
+    description: "The Client ID of your Auth0 Single Page Application.",
+  },
+  {
+    name: "REACT_APP_AUTH0_CALLBACK_URL",
+    required: true,
+    validate: "url",
+    example: "http://localhost:4040/callback",
+    description:
+      "Where Auth0 sends users back after login. Must be listed in Allowed Callback URLs.",
+  },
+  {
+    name: "REACT_APP_AUTH0_AUDIENCE",
+    required: true,
+    validate: "identifier",
+    example: "https://hello-world.example.com",
+    description: "The Identifier of your API in Auth0 (Applications → APIs).",
+  },
+  {
+    name: "REACT_APP_API_SERVER_URL",
+    required: true,
+    validate: "url",
+    example: "http://localhost:6060",
+    description: "Base URL of the API server that serves the messages.",
+  },
+  {
+    name: "REACT_APP_EXTERNAL_API_SERVER_URL",
+    required: false,
+    validate: "url",
+    example: "http://localhost:3001",
+    description:
+      "Base URL of your own backend (see backend-example/). Defaults to REACT_APP_API_SERVER_URL.",
+  },
+  {
+    name: "REACT_APP_ERROR_REPORTING_URL",
+    required: false,
+    validate: "url",
+    example: "http://localhost:6060/api/client-errors",
+    description:
+      "Endpoint that receives crash reports. Errors are only logged to the console without it.",
+  },
+  {
+    name: "REACT_APP_AUTH0_ROLES_CLAIM",
+    required: false,
+    validate: "identifier",
+    example: "https://hello-world.example.com/roles",
+    description:
+      "Custom claim an Auth0 Action adds with the user's roles. Needed only for role checks.",
+  },
+  {
+    name: "REACT_APP_AUTH0_LINKING_CLIENT_ID",
+    required: false,
+    validate: "identifier",
+    example: "iJkL9012mNoP3456",
+    description:
+      "Client ID of a second Single Page Application, used to prove ownership of an account to link. Linking is off without it.",
+  },
+  {
+    name: "REACT_APP_SESSION_IDLE_MINUTES",
+    required: false,
+    validate: "positiveNumber",
+    example: "30",
+    description:
+      "Minutes without any activity before users are logged out. Defaults to 30.",
+  },
+];
+
+/**
+ * CRA replaces `process.env.REACT_APP_*` at build time, so each variable
+ * has to be read with its full name.
+ */
+const env = {
+  REACT_APP_AUTH0_DOMAIN: process.env.REACT_APP_AUTH0_DOMAIN,
+  REACT_APP_AUTH0_CLIENT_ID: process.env.REACT_APP_AUTH0_CLIENT_ID,
+  REACT_APP_AUTH0_CALLBACK_URL: process.env.REACT_APP_AUTH0_CALLBACK_URL,
+  REACT_APP_AUTH0_AUDIENCE: process.env.REACT_APP_AUTH0_AUDIENCE,
+  REACT_APP_API_SERVER_URL: process.env.REACT_APP_API_SERVER_URL,
+  REACT_APP_EXTERNAL_API_SERVER_URL:
+    process.env.REACT_APP_EXTERNAL_API_SERVER_URL,
+  REACT_APP_AUTH0_ROLES_CLAIM: process.env.REACT_APP_AUTH0_ROLES_CLAIM,
+  REACT_APP_ERROR_REPORTING_URL: process.env.REACT_APP_ERROR_REPORTING_URL,
+  REACT_APP_AUTH0_LINKING_CLIENT_ID:
+    process.env.REACT_APP_AUTH0_LINKING_CLIENT_ID,
+  REACT_APP_SESSION_IDLE_MINUTES: process.env.REACT_APP_SESSION_IDLE_MINUTES,
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Each validator returns a description of the problem, or null when the value is fine
+ */
+const validators = {
+  // A bare hostname (what the Auth0 dashboard shows) or an http(s) origin, like the local identity provider
+  domain: (value) => {
+    if (isHttpUrl(value)) {
+      const url = new URL(value);
+
+      return url.pathname === "/" && !url.search
+        ? null
+        : "must be a domain like your-tenant.us.auth0.com, without any path";
+    }
+
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(value)
+      ? null
+      : "must be a domain like your-tenant.us.auth0.com";
+  },
+  identifier: (value) => (/\s/.test(value) ? "must not contain spaces" : null),
+  url: (value) =>
+    isHttpUrl(value)
+      ? null
+      : "must be an absolute URL starting with http:// or https://",
+  positiveNumber: (value) =>
+    Number(value) > 0 ? null : "must be a number greater than 0",
+};
+
+/**
+ * @param {Object} values - The REACT_APP_* values to check
+ * @returns {Array<{ name: string, problem: string, example: string, description: string }>}
+ */
+export const validateConfig = (values) =>
+  configVariables.reduce((errors, variable) => {
+    const value = (values[variable.name] || "").trim();
+
+    if (!value) {
+      return variable.required
+        ? [...errors, { ...variable, problem: "is missing" }]
+        : errors;
+    }
+
+    const problem = validators[variable.validate](value);
+
+    return problem ? [...errors, { ...variable, problem }] : errors;
+  }, []);
+
+export const configErrors = validateConfig(env);
+
+// Paths are appended to base URLs (`${apiServerUrl}/api/...`), so drop any trailing slash
+const baseUrl = (value) => (value || "").trim().replace(/\/+$/, "");
+
+export const config = {
+  auth0: {
+    domain: env.REACT_APP_AUTH0_DOMAIN,
+    clientId: env.REACT_APP_AUTH0_CLIENT_ID,
+    callbackUrl: env.REACT_APP_AUTH0_CALLBACK_URL,
+    audience: env.REACT_APP_AUTH0_AUDIENCE,
+    rolesClaim: env.REACT_APP_AUTH0_ROLES_CLAIM,
+    linkingClientId: (env.REACT_APP_AUTH0_LINKING_CLIENT_ID || "").trim(),
+  },
+  apiServerUrl: baseUrl(env.REACT_APP_API_SERVER_URL),
+  externalApiServerUrl: baseUrl(
+    env.REACT_APP_EXTERNAL_API_SERVER_URL || env.REACT_APP_API_SERVER_URL
+  ),
+  errorReportingUrl: (env.REACT_APP_ERROR_REPORTING_URL || "").trim(),
+  session: {
+    // In milliseconds
+    idleTimeout: (Number(env.REACT_APP_SESSION_IDLE_MINUTES) || 30) * 60 * 1000,
+  },
+};
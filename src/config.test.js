@@ -0,0 +1,126 @@
+import { validateConfig } from "./config";
+
+const validValues = {
+  REACT_APP_AUTH0_DOMAIN: "your-tenant.us.auth0.com",
+  REACT_APP_AUTH0_CLIENT_ID: "aBcD1234eFgH5678",
+  REACT_APP_AUTH0_CALLBACK_URL: "http://localhost:4040/callback",
+  REACT_APP_AUTH0_AUDIENCE: "https://hello-world.example.com",
+  REACT_APP_API_SERVER_URL: "http://localhost:6060",
+};
+
+const problemsOf = (values) =>
+  validateConfig(values).map(({ name, problem }) => ({ name, problem }));
+
+describe("validateConfig", () => {
+  it("accepts the required variables alone", () => {
+    expect(validateConfig(validValues)).toEqual([]);
+  });
+
+  it("lists every missing required variable, and only those", () => {
+    expect(problemsOf({}).map(({ name }) => name)).toEqual(
+      Object.keys(validValues)
+    );
+    expect(
+      problemsOf({ ...validValues, REACT_APP_AUTH0_AUDIENCE: "  " })
+    ).toEqual([{ name: "REACT_APP_AUTH0_AUDIENCE", problem: "is missing" }]);
+  });
+
+  it("comes with the example and description of each variable", () => {
+    const [error] = validateConfig({
+      ...validValues,
+      REACT_APP_AUTH0_CLIENT_ID: "",
+    });
+
+    expect(error.example).toBe("aBcD1234eFgH5678");
+    expect(error.description).toEqual(expect.any(String));
+  });
+
+  it("accepts a domain, or an origin like the local identity provider's", () => {
+    expect(
+      validateConfig({
+        ...validValues,
+        REACT_APP_AUTH0_DOMAIN: "http://localhost:6061",
+      })
+    ).toEqual([]);
+  });
+
+  it("refuses a domain with a path, or that isn't a domain", () => {
+    expect(
+      problemsOf({
+        ...validValues,
+        REACT_APP_AUTH0_DOMAIN: "https://your-tenant.us.auth0.com/authorize",
+      })
+    ).toEqual([
+      {
+        name: "REACT_APP_AUTH0_DOMAIN",
+        problem:
+          "must be a domain like your-tenant.us.auth0.com, without any path",
+      },
+    ]);
+    expect(
+      problemsOf({ ...validValues, REACT_APP_AUTH0_DOMAIN: "your-tenant" })
+    ).toEqual([
+      {
+        name: "REACT_APP_AUTH0_DOMAIN",
+        problem: "must be a domain like your-tenant.us.auth0.com",
+      },
+    ]);
+  });
+
+  it("refuses URLs that aren't absolute http(s) URLs", () => {
+    expect(
+      problemsOf({
+        ...validValues,
+        REACT_APP_AUTH0_CALLBACK_URL: "/callback",
+        REACT_APP_API_SERVER_URL: "ftp://localhost:6060",
+      }).map(({ name }) => name)
+    ).toEqual(["REACT_APP_AUTH0_CALLBACK_URL", "REACT_APP_API_SERVER_URL"]);
+  });
+
+  it("refuses identifiers with spaces", () => {
+    expect(
+      problemsOf({ ...validValues, REACT_APP_AUTH0_CLIENT_ID: "aBcD 1234" })
+    ).toEqual([
+      { name: "REACT_APP_AUTH0_CLIENT_ID", problem: "must not contain spaces" },
+    ]);
+  });
+
+  it("checks optional variables only when they're set", () => {
+    expect(
+      validateConfig({
+        ...validValues,
+        REACT_APP_EXTERNAL_API_SERVER_URL: "",
+        REACT_APP_AUTH0_ROLES_CLAIM: "",
+      })
+    ).toEqual([]);
+    expect(
+      problemsOf({
+        ...validValues,
+        REACT_APP_EXTERNAL_API_SERVER_URL: "localhost:3001",
+        REACT_APP_AUTH0_ROLES_CLAIM: "https://hello-world.example.com/ roles",
+      })
+    ).toEqual([
+      {
+        name: "REACT_APP_EXTERNAL_API_SERVER_URL",
+        problem: "must be an absolute URL starting with http:// or https://",
+      },
+      {
+        name: "REACT_APP_AUTH0_ROLES_CLAIM",
+        problem: "must not contain spaces",
+      },
+    ]);
+  });
+
+  it("refuses an idle timeout that isn't a positive number", () => {
+    ["0", "-5", "thirty"].forEach((minutes) => {
+      expect(
+        problemsOf({ ...validValues, REACT_APP_SESSION_IDLE_MINUTES: minutes })
+      ).toEqual([
+        {
+          name: "REACT_APP_SESSION_IDLE_MINUTES",
+          problem: "must be a number greater than 0",
+        },
+      ]);
+    });
+  });
+});
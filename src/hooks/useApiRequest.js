@@ -0,0 +1,87 @@
+/**
+ * useApiRequest - Custom hook that runs an API request when a component mounts
+ *
+ * It replaces the classic `let isMounted = true` pattern inside useEffect, which only
+ * ignores the response of a request nobody needs anymore. This hook actually cancels it:
+ * - Unmounting the component aborts the request in flight (AbortController)
+ * - Starting a new request aborts the previous one, so the last request always wins
+ *   and a slow old response can never overwrite a newer one
+ * - Each component calling the hook gets its own data/error/loading state
+ * - A request that throws instead of returning `{ error }` (e.g. getAccessTokenSilently
+ *   failing with login_required outside the API client) still ends up as an error,
+ *   so the page shows it instead of loading forever
+ *
+ * @param {Function} request - Receives `{ signal, onRevalidate }` and resolves to `{ data, error }`.
+ *   Wrap it in useCallback: the request runs again whenever this function changes.
+ *   Cached requests that return stale data call `onRevalidate` with the refreshed result.
+ * @returns {{ data: any, error: Object|null, isLoading: boolean, reload: Function }}
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import { ApiErrorType } from "../services/external-api.service";
+
+export const useApiRequest = (request) => {
+  const [state, setState] = useState({
+    data: null,
+    error: null,
+    isLoading: true,
+  });
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    setState((previousState) => ({ ...previousState, isLoading: true }));
+
+    const onRevalidate = ({ data, error }) => {
+      if (!controller.signal.aborted) {
+        setState({ data, error, isLoading: false });
+      }
+    };
+
+    const runRequest = async () => {
+      let result;
+
+      try {
+        result = await request({
+          signal: controller.signal,
+          onRevalidate,
+        });
+      } catch (requestError) {
+        result = {
+          data: null,
+          error: {
+            type: requestError.error
+              ? ApiErrorType.UNAUTHORIZED
+              : ApiErrorType.UNKNOWN,
+            message: requestError.error_description || requestError.message,
+            status: null,
+            ...(requestError.error && { code: requestError.error }),
+          },
+        };
+      }
+
+      // Aborted: the component unmounted or a newer request replaced this one
+      if (controller.signal.aborted) {
+        return;
+      }
+
+      setState({ data: result.data, error: result.error, isLoading: false });
+    };
+
+    runRequest();
+
+    return () => {
+      controller.abort();
+    };
+  }, [request, reloadCount]);
+
+  /**
+   * Run the same request again, e.g. from a "retry" button
+   */
+  const reload = useCallback(() => {
+    setReloadCount((count) => count + 1);
+  }, []);
+
+  return { ...state, reload };
+};
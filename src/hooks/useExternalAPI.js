@@ -12,101 +12,268 @@
  */
 
 import { useAuth0 } from "@auth0/auth0-react";
-import { useState } from "react";
+import { useCallback, useMemo } from "react";
+import { config } from "../config";
+import { createApiClient } from "../services/external-api.service";
+
+/**
+ * The access token for YOUR API: which API it's for (the audience MUST match your API
+ * identifier configured in Auth0 dashboard), and the scopes (permissions) the app wants in it.
+ *
+ * The SDK caches tokens per audience and scope, so a login that must refresh this token
+ * (like a step-up, see useStepUp) asks for the same ones.
+ */
+export const externalApiAuthorizationParams = {
+  audience: config.auth0.audience, // Your API identifier from Auth0
+  // Admin permissions (manage:users, read:audit-log) are NOT requested: they must come
+  // from the user's roles (the `permissions` claim), never from what the app asks for
+  scope: "read:profile write:profile read:posts write:posts read:analytics", // Permissions your app needs
+};
 
 export const useExternalAPI = () => {
   const { getAccessTokenSilently } = useAuth0();
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+
+  /**
+   * The shared API client (src/services/external-api.service.js), pointed at YOUR backend.
+   * Its URL comes from REACT_APP_EXTERNAL_API_SERVER_URL (see src/config.js).
+   */
+  const apiClient = useMemo(
+    () =>
+      createApiClient({
+        baseUrl: config.externalApiServerUrl,
+        /**
+         * Get access token specifically for YOUR API.
+         * This is different from the ID token - access tokens are for API authorization.
+         *
+         * Here, we're requesting the token for the API we want to access, with the scopes
+         * (permissions) we want in it: see externalApiAuthorizationParams above.
+         */
+        getAccessToken: (options) =>
+          getAccessTokenSilently({
+            ...options,
+            authorizationParams: externalApiAuthorizationParams,
+          }),
+      }),
+    [getAccessTokenSilently]
+  );
 
   /**
    * Generic API call function that automatically handles Auth0 token retrieval
    * and includes it in requests to your backend.
    *
    * @param {string} endpoint - The API endpoint (e.g., '/api/posts', '/api/user-data')
-   * @param {object} options - Fetch options (method, body, headers, etc.)
-   * @returns {Promise} - API response data
-   */
-  const callAPI = async (endpoint, options = {}) => {
-    setLoading(true);
-    setError(null);
-
-    try {
-      /**
-       * Get access token specifically for YOUR API.
-       * This is different from the ID token - access tokens are for API authorization.
-       *
-       * The audience MUST match your API identifier configured in Auth0 dashboard.
-       *
-       * Here, we're requesting the token and we're also specifying scopes (permissions) we want in that token and the API we want to access.
-       */
-      const accessToken = await getAccessTokenSilently({
-        authorizationParams: {
-          audience: process.env.REACT_APP_AUTH0_AUDIENCE, // Your API identifier from Auth0
-          scope: "read:posts write:posts read:analytics", // Permissions your app needs
-        },
-      });
-
-      /**
-       * Make the actual API call to YOUR backend.
-       * Replace 'https://my-backend.com' with your actual backend URL.
-       */
-      const response = await fetch(`https://my-backend.com${endpoint}`, {
-        ...options,
-        headers: {
-          ...options.headers,
-          Authorization: `Bearer ${accessToken}`, // Auth0 token for your backend
-          "Content-Type": "application/json",
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(
-          `API Error: ${response.status} - ${response.statusText}`
-        );
-      }
-
-      const data = await response.json();
-      setLoading(false);
-      return data;
-    } catch (err) {
-      setError(err.message);
-      setLoading(false);
-      throw err;
-    }
-  };
+   * @param {object} options - Request options (method, data, headers, signal, etc.)
+   * @returns {Promise<{ data, error, status }>} - Never throws: failures come back in `error`
+   *
+   * These functions are memoized, so they can be used in useCallback/useEffect
+   * dependencies (e.g. with useApiRequest) without re-running requests on every render.
+   *
+   * There's no loading or error state here: several requests can run at once, so each
+   * caller tracks its own (useApiRequest does it per request, and ignores aborted ones).
+   */
+  const callAPI = useCallback(
+    (endpoint, options = {}) =>
+      apiClient.request({ ...options, url: endpoint }),
+    [apiClient]
+  );
 
   /**
    * Example: Get user's custom data from your backend
    * This would call YOUR database, not Auth0's user management API
    */
-  const getUserCustomData = async () => {
-    return await callAPI("/api/user/profile");
-  };
+  const getUserCustomData = useCallback(
+    ({ signal } = {}) => callAPI("/api/user/profile", { signal }),
+    [callAPI]
+  );
 
   /**
-   * Example: Get user's posts from your backend
+   * Example: Update user's custom data in your backend
+   * Only the fields you send are changed (PATCH), e.g. { bio: "Hello" }
    */
-  const getUserPosts = async () => {
-    return await callAPI("/api/posts");
-  };
+  const updateUserCustomData = useCallback(
+    (changes) =>
+      callAPI("/api/user/profile", {
+        method: "PATCH",
+        data: changes,
+      }),
+    [callAPI]
+  );
+
+  /**
+   * Example: Link another account to the user, through your backend
+   *
+   * @param {string} accessToken - An access token of the account to link, proving the
+   *   user can log in with it
+   * @returns {Promise<{ data: { identities }, error, status }>}
+   */
+  const linkIdentity = useCallback(
+    (accessToken) =>
+      callAPI("/api/user/identities", {
+        method: "POST",
+        data: { accessToken },
+      }),
+    [callAPI]
+  );
+
+  /**
+   * Example: Unlink one of the user's secondary identities, through your backend
+   *
+   * @returns {Promise<{ data: { identities }, error, status }>}
+   */
+  const unlinkIdentity = useCallback(
+    (provider, identityUserId) =>
+      callAPI(
+        `/api/user/identities/${encodeURIComponent(
+          provider
+        )}/${encodeURIComponent(identityUserId)}`,
+        { method: "DELETE" }
+      ),
+    [callAPI]
+  );
+
+  /**
+   * Example: Ask your backend to send the user another email verification link
+   *
+   * @returns {Promise<{ data: { email }, error, status }>}
+   */
+  const sendVerificationEmail = useCallback(
+    () => callAPI("/api/user/verification-email", { method: "POST" }),
+    [callAPI]
+  );
+
+  /**
+   * Example: Get one page of the user's posts from your backend
+   *
+   * @param {Object} [query] - `{ page, limit, category, q, sort }`, all optional
+   * @returns {Promise<{ data: { posts, pagination }, error, status }>}
+   */
+  const getUserPosts = useCallback(
+    (query = {}, { signal } = {}) =>
+      callAPI("/api/posts", { params: query, signal }),
+    [callAPI]
+  );
 
   /**
    * Example: Create a new post in your backend
    */
-  const createPost = async (postData) => {
-    return await callAPI("/api/posts", {
-      method: "POST",
-      body: JSON.stringify(postData),
-    });
-  };
+  const createPost = useCallback(
+    (postData) =>
+      callAPI("/api/posts", {
+        method: "POST",
+        data: postData,
+      }),
+    [callAPI]
+  );
+
+  /**
+   * Example: Replace a post's title, content and category in your backend
+   */
+  const updatePost = useCallback(
+    (postId, postData) =>
+      callAPI(`/api/posts/${encodeURIComponent(postId)}`, {
+        method: "PUT",
+        data: postData,
+      }),
+    [callAPI]
+  );
+
+  /**
+   * Example: Delete a post from your backend
+   */
+  const deletePost = useCallback(
+    (postId) =>
+      callAPI(`/api/posts/${encodeURIComponent(postId)}`, {
+        method: "DELETE",
+      }),
+    [callAPI]
+  );
 
   /**
    * Example: Get analytics data from your backend
+   *
+   * @param {Object} [range] - `{ from, to }` as YYYY-MM-DD dates. Defaults to the last 30 days.
    */
-  const getAnalytics = async () => {
-    return await callAPI("/api/analytics");
-  };
+  const getAnalytics = useCallback(
+    (range = {}, { signal } = {}) =>
+      callAPI("/api/analytics", { params: range, signal }),
+    [callAPI]
+  );
+
+  /**
+   * Admin: list the users your backend knows about, with their roles
+   *
+   * @returns {Promise<{ data: { users }, error, status }>}
+   */
+  const getAdminUsers = useCallback(
+    ({ signal } = {}) => callAPI("/api/admin/users", { signal }),
+    [callAPI]
+  );
+
+  /**
+   * Admin: list the roles that can be assigned, with the permissions they grant
+   *
+   * @returns {Promise<{ data: { roles }, error, status }>}
+   */
+  const getAdminRoles = useCallback(
+    ({ signal } = {}) => callAPI("/api/admin/roles", { signal }),
+    [callAPI]
+  );
+
+  /**
+   * Admin: give a role to a user. Resolves to the updated user.
+   */
+  const assignUserRole = useCallback(
+    (userId, role) =>
+      callAPI(
+        `/api/admin/users/${encodeURIComponent(
+          userId
+        )}/roles/${encodeURIComponent(role)}`,
+        { method: "PUT" }
+      ),
+    [callAPI]
+  );
+
+  /**
+   * Admin: take a role away from a user. Resolves to the updated user.
+   */
+  const revokeUserRole = useCallback(
+    (userId, role) =>
+      callAPI(
+        `/api/admin/users/${encodeURIComponent(
+          userId
+        )}/roles/${encodeURIComponent(role)}`,
+        { method: "DELETE" }
+      ),
+    [callAPI]
+  );
+
+  /**
+   * Admin: get one page of the audit log, newest first
+   *
+   * @param {Object} [query] - `{ page, limit, userId, route, from, to }`, all optional
+   * @returns {Promise<{ data: { entries, pagination }, error, status }>}
+   */
+  const getAuditLog = useCallback(
+    (query = {}, { signal } = {}) =>
+      callAPI("/api/admin/audit", { params: query, signal }),
+    [callAPI]
+  );
+
+  /**
+   * Admin: get every audit log entry matching the filters, as a file
+   *
+   * @param {Object} [filters] - `{ userId, route, from, to }`, all optional
+   * @param {string} format - "csv" or "json"
+   * @returns {Promise<{ data: Blob, error, status }>}
+   */
+  const exportAuditLog = useCallback(
+    (filters, format) =>
+      callAPI("/api/admin/audit/export", {
+        params: { ...filters, format },
+        responseType: "blob",
+      }),
+    [callAPI]
+  );
 
   return {
     // Generic API caller
@@ -114,13 +281,21 @@ export const useExternalAPI = () => {
 
     // Specific API functions
     getUserCustomData,
+    updateUserCustomData,
+    linkIdentity,
+    unlinkIdentity,
+    sendVerificationEmail,
     getUserPosts,
     createPost,
+    updatePost,
+    deletePost,
     getAnalytics,
-
-    // Loading and error states
-    loading,
-    error,
+    getAdminUsers,
+    getAdminRoles,
+    assignUserRole,
+    revokeUserRole,
+    getAuditLog,
+    exportAuditLog,
   };
 };
 
@@ -128,32 +303,31 @@ export const useExternalAPI = () => {
  * Example usage in a component:
  *
  * const MyComponent = () => {
- *   const { getUserPosts, createPost, loading, error } = useExternalAPI();
- *   const [posts, setPosts] = useState([]);
+ *   const { getUserPosts, createPost } = useExternalAPI();
  *
- *   const fetchPosts = async () => {
- *     try {
- *       const userPosts = await getUserPosts();
- *       setPosts(userPosts);
- *     } catch (err) {
- *       console.error('Failed to fetch posts:', err);
- *     }
- *   };
+ *   // Loads the first page on mount, and aborts the request if the component unmounts
+ *   const fetchPosts = useCallback(
+ *     ({ signal }) => getUserPosts({ page: 1, sort: "newest" }, { signal }),
+ *     [getUserPosts]
+ *   );
+ *   const { data, error, isLoading, reload } = useApiRequest(fetchPosts);
  *
  *   const handleCreatePost = async (newPost) => {
- *     try {
- *       const createdPost = await createPost(newPost);
- *       setPosts(prev => [...prev, createdPost]);
- *     } catch (err) {
- *       console.error('Failed to create post:', err);
+ *     const { error } = await createPost(newPost);
+ *
+ *     if (error) {
+ *       console.error('Failed to create post:', error.message);
+ *       return;
  *     }
+ *
+ *     reload();
  *   };
  *
  *   return (
  *     <div>
- *       {loading && <p>Loading...</p>}
- *       {error && <p>Error: {error}</p>}
- *       {posts.map(post => <div key={post.id}>{post.title}</div>)}
+ *       {isLoading && <p>Loading...</p>}
+ *       {error && <p>Error: {error.message}</p>}
+ *       {data && data.posts.map(post => <div key={post.id}>{post.title}</div>)}
  *     </div>
  *   );
  * };
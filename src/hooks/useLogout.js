@@ -0,0 +1,34 @@
+/**
+ * useLogout - The one way this app logs users out
+ *
+ * The Log Out buttons and the session monitor (when a session times out) all use it,
+ * so every logout clears the same things before leaving, and the other tabs of the app
+ * log out too (see src/components/auth-sync.js).
+ */
+
+import { useAuth0 } from "@auth0/auth0-react";
+import { useCallback } from "react";
+import { AuthEvent, broadcastAuthEvent } from "../services/auth-sync.service";
+import { clearCache } from "../services/response-cache.service";
+
+export const useLogout = () => {
+  const { logout } = useAuth0();
+
+  return useCallback(() => {
+    // Cached API responses belong to the user who is leaving: the next one must never see them
+    clearCache();
+    broadcastAuthEvent(AuthEvent.LOGOUT);
+
+    /**
+     * When using the logout() method, the Auth0 React SDK clears the application session and redirects to the Auth0 /v2/logout endpoint to clear the Auth0 session under the hood.
+     */
+    logout({
+      /**
+       * As with the login method, you can pass an object argument to logout() to customize the logout behavior of the React application. You can define a logoutParams property on that configuration object to define parameters for the /v2/logout call. This process is fairly invisible to the user. See logoutParams for more details on the parameters available.
+       */
+      logoutParams: {
+        returnTo: window.location.origin,
+      },
+    });
+  }, [logout]);
+};
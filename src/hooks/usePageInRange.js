@@ -0,0 +1,38 @@
+/**
+ * usePageInRange - Goes to the last page when the one in the URL is past it
+ *
+ * A page can become empty, e.g. after deleting its last item, and filters typed in the
+ * URL can point anywhere. Once the list answers, this hook calls `showPage` with the
+ * last page that exists (1 for an empty list).
+ *
+ * Usage:
+ *   usePageInRange(data && data.pagination, page, (lastPage) =>
+ *     setSearchParams(toSearchParams({ ...filters, page: lastPage }), { replace: true })
+ *   );
+ */
+
+import { useEffect, useRef } from "react";
+
+/**
+ * @param {Object|null} pagination - The `pagination` of the list response, null while loading
+ * @param {number} page - The page asked for
+ * @param {Function} showPage - Receives the page to show instead
+ */
+export const usePageInRange = (pagination, page, showPage) => {
+  // Kept in a ref, so a new showPage function on each render doesn't run the effect again
+  const showPageRef = useRef(showPage);
+  showPageRef.current = showPage;
+
+  const totalPages = pagination ? pagination.totalPages : 0;
+  // Only once the response is for this page, not the previous one still on screen
+  const isPageOutOfRange =
+    Boolean(pagination) &&
+    pagination.page === page &&
+    page > Math.max(1, totalPages);
+
+  useEffect(() => {
+    if (isPageOutOfRange) {
+      showPageRef.current(Math.max(1, totalPages));
+    }
+  }, [isPageOutOfRange, totalPages]);
+};
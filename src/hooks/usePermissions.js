@@ -0,0 +1,117 @@
+/**
+ * usePermissions - Custom hook that exposes the permissions and roles of the logged-in user
+ *
+ * When RBAC is enabled for your API in the Auth0 dashboard (with "Add Permissions in the
+ * Access Token" turned on), Auth0 puts a `permissions` array inside the ACCESS token.
+ * Roles are not added by Auth0 by default: you need an Action that copies them into a
+ * custom (namespaced) claim, e.g. "https://my-app.example.com/roles". Set that claim name
+ * in REACT_APP_AUTH0_ROLES_CLAIM to make roles available here.
+ *
+ * Roles assigned in the admin console (/admin/users) are stored by YOUR backend, not in
+ * the token, so the permissions and roles it reports (GET /api/user/permissions) are
+ * added to the token's. Without that backend, only the token counts.
+ *
+ * Remember: this is only for the UI (hiding tabs, showing a 403 page). Your API must
+ * enforce the same permissions, because anything in the browser can be tampered with.
+ */
+
+import { useAuth0 } from "@auth0/auth0-react";
+import { useEffect, useState } from "react";
+import { config } from "../config";
+import { getUserPermissions } from "../services/permission.service";
+import { decodeJwtPayload } from "../utils/jwt";
+
+/**
+ * Permissions used by this app. They must match the permissions defined
+ * for your API in the Auth0 dashboard.
+ */
+export const Permission = {
+  READ_ADMIN_MESSAGES: "read:admin-messages",
+  READ_POSTS: "read:posts",
+  WRITE_POSTS: "write:posts",
+  READ_ANALYTICS: "read:analytics",
+  MANAGE_USERS: "manage:users",
+  READ_AUDIT_LOG: "read:audit-log",
+};
+
+const { rolesClaim } = config.auth0;
+
+const toArray = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  return value ? [value] : [];
+};
+
+export const usePermissions = () => {
+  const { isAuthenticated, user, getAccessTokenSilently } = useAuth0();
+  const [claims, setClaims] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    if (!isAuthenticated) {
+      setClaims({});
+      return;
+    }
+
+    const getClaims = async () => {
+      let accessTokenClaims = {};
+      let granted = null;
+
+      try {
+        const accessToken = await getAccessTokenSilently();
+        accessTokenClaims = decodeJwtPayload(accessToken);
+        ({ data: granted } = await getUserPermissions({
+          getAccessToken: getAccessTokenSilently,
+          userId: accessTokenClaims.sub,
+        }));
+      } catch (error) {
+        // No token means no permissions: the user simply won't see protected UI.
+      }
+
+      if (isMounted) {
+        setClaims({ ...accessTokenClaims, granted });
+      }
+    };
+
+    getClaims();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [isAuthenticated, getAccessTokenSilently]);
+
+  const isLoading = claims === null;
+  const granted = claims?.granted || { permissions: [], roles: [] };
+  const permissions = [
+    ...new Set([...toArray(claims?.permissions), ...granted.permissions]),
+  ];
+
+  // Roles may live in the access token or the ID token, depending on how your Action adds them
+  const tokenRoles = rolesClaim
+    ? toArray(claims?.[rolesClaim] || user?.[rolesClaim])
+    : [];
+  const roles = [...new Set([...tokenRoles, ...granted.roles])];
+
+  /**
+   * @param {string[]} required - Every one of these permissions must be granted
+   */
+  const hasPermissions = (required = []) =>
+    required.every((permission) => permissions.includes(permission));
+
+  /**
+   * @param {string[]} required - Every one of these roles must be assigned
+   */
+  const hasRoles = (required = []) =>
+    required.every((role) => roles.includes(role));
+
+  return {
+    isLoading,
+    permissions,
+    roles,
+    hasPermissions,
+    hasRoles,
+  };
+};
@@ -0,0 +1,235 @@
+/**
+ * useSessionMonitor - Watches for an idle user and an expiring access token
+ *
+ * Without it, a logged-in user stays in the app until a silent token refresh fails,
+ * e.g. on a shared computer left unattended. This hook computes when the session ends:
+ * - after `idleTimeout` without any activity (mouse, keyboard, touch, scroll)
+ * - or when the access token expires, whichever comes first
+ *
+ * `warningTime` before that, it returns a warning with a countdown. The user can then
+ * stay signed in, which gets a new access token from Auth0 (without a redirect) and
+ * counts as activity. When the countdown reaches zero, the user is logged out.
+ *
+ * Activity in any tab of the app counts: a user busy in one tab isn't logged out
+ * because another tab sat idle.
+ */
+
+import { useAuth0 } from "@auth0/auth0-react";
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  AuthEvent,
+  broadcastAuthEvent,
+  subscribeToAuthEvents,
+} from "../services/auth-sync.service";
+import { decodeJwtPayload } from "../utils/jwt";
+import { useLogout } from "./useLogout";
+
+const activityEvents = [
+  "mousedown",
+  "mousemove",
+  "keydown",
+  "touchstart",
+  "scroll",
+];
+
+// How often the deadline is checked, in milliseconds
+const checkInterval = 1000;
+
+// Activity is shared with the other tabs at most this often, in milliseconds
+const activityBroadcastInterval = 5000;
+
+/**
+ * @returns {number|null} When the token expires, in milliseconds since 1970
+ */
+const getTokenExpiry = (accessToken) => {
+  const { exp } = decodeJwtPayload(accessToken);
+
+  return typeof exp === "number" ? exp * 1000 : null;
+};
+
+/**
+ * @param {Object} options
+ * @param {number} options.idleTimeout - Milliseconds without activity before logging out
+ * @param {number} options.warningTime - Milliseconds before the end to start the countdown
+ * @returns {{ warning: Object|null, isRefreshing: boolean, refreshError: Object|null, staySignedIn: Function, logout: Function }}
+ *   `warning` is `{ reason: "idle"|"token", secondsLeft }` during the countdown, null otherwise
+ */
+export const useSessionMonitor = ({ idleTimeout, warningTime }) => {
+  const { isAuthenticated, getAccessTokenSilently } = useAuth0();
+  const logout = useLogout();
+
+  const lastActivityRef = useRef(Date.now());
+  const lastBroadcastRef = useRef(0);
+  const [tokenExpiresAt, setTokenExpiresAt] = useState(null);
+  const [warning, setWarning] = useState(null);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [refreshError, setRefreshError] = useState(null);
+
+  // Read when the current access token expires
+  useEffect(() => {
+    let isMounted = true;
+
+    if (!isAuthenticated) {
+      setTokenExpiresAt(null);
+      return;
+    }
+
+    const readTokenExpiry = async () => {
+      try {
+        const accessToken = await getAccessTokenSilently();
+
+        if (isMounted) {
+          setTokenExpiresAt(getTokenExpiry(accessToken));
+        }
+      } catch (error) {
+        // No token at all: there's no session to monitor
+      }
+    };
+
+    lastActivityRef.current = Date.now();
+    readTokenExpiry();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [isAuthenticated, getAccessTokenSilently]);
+
+  // Any activity pushes the idle deadline back, except during the countdown:
+  // then only "Stay signed in" does, so moving the mouse by accident isn't enough
+  const isWarningShown = warning !== null;
+
+  useEffect(() => {
+    if (!isAuthenticated || isWarningShown) {
+      return;
+    }
+
+    const recordActivity = () => {
+      const now = Date.now();
+
+      lastActivityRef.current = now;
+
+      if (now - lastBroadcastRef.current >= activityBroadcastInterval) {
+        lastBroadcastRef.current = now;
+        broadcastAuthEvent(AuthEvent.ACTIVITY);
+      }
+    };
+
+    activityEvents.forEach((eventName) =>
+      window.addEventListener(eventName, recordActivity, { passive: true })
+    );
+
+    return () => {
+      activityEvents.forEach((eventName) =>
+        window.removeEventListener(eventName, recordActivity)
+      );
+    };
+  }, [isAuthenticated, isWarningShown]);
+
+  // Activity in another tab counts here too, even during the countdown: that tab's
+  // user is this tab's user, and they're clearly still around
+  useEffect(() => {
+    if (!isAuthenticated) {
+      return;
+    }
+
+    return subscribeToAuthEvents((event) => {
+      if (event.type === AuthEvent.ACTIVITY) {
+        lastActivityRef.current = Math.max(
+          lastActivityRef.current,
+          event.sentAt
+        );
+      }
+    });
+  }, [isAuthenticated]);
+
+  // The SDK may have refreshed the token since it was read here, e.g. for an API call.
+  // Its cache then has a token that lasts longer, and there's nothing to warn about.
+  const isTokenWarning = warning !== null && warning.reason === "token";
+
+  useEffect(() => {
+    if (!isTokenWarning) {
+      return;
+    }
+
+    const readCachedTokenExpiry = async () => {
+      try {
+        const accessToken = await getAccessTokenSilently({
+          cacheMode: "cache-only",
+        });
+        const expiresAt = accessToken ? getTokenExpiry(accessToken) : null;
+
+        if (expiresAt !== null) {
+          setTokenExpiresAt((previousExpiresAt) =>
+            Math.max(previousExpiresAt || 0, expiresAt)
+          );
+        }
+      } catch (error) {
+        // Nothing cached: the countdown goes on
+      }
+    };
+
+    readCachedTokenExpiry();
+  }, [isTokenWarning, getAccessTokenSilently]);
+
+  // Compare the deadline with the clock: timers pause in background tabs and
+  // while the computer sleeps, the clock doesn't
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setWarning(null);
+      return;
+    }
+
+    const checkDeadline = () => {
+      const idleDeadline = lastActivityRef.current + idleTimeout;
+      const isTokenFirst =
+        tokenExpiresAt !== null && tokenExpiresAt < idleDeadline;
+      const timeLeft =
+        (isTokenFirst ? tokenExpiresAt : idleDeadline) - Date.now();
+
+      if (timeLeft <= 0) {
+        clearInterval(intervalId);
+        logout();
+        return;
+      }
+
+      setWarning(
+        timeLeft <= warningTime
+          ? {
+              reason: isTokenFirst ? "token" : "idle",
+              secondsLeft: Math.ceil(timeLeft / 1000),
+            }
+          : null
+      );
+    };
+
+    const intervalId = setInterval(checkDeadline, checkInterval);
+
+    return () => {
+      clearInterval(intervalId);
+    };
+  }, [isAuthenticated, tokenExpiresAt, idleTimeout, warningTime, logout]);
+
+  /**
+   * Get a brand new access token (skipping the SDK cache) and restart the idle timer
+   */
+  const staySignedIn = useCallback(async () => {
+    setIsRefreshing(true);
+    setRefreshError(null);
+
+    try {
+      const accessToken = await getAccessTokenSilently({ cacheMode: "off" });
+
+      lastActivityRef.current = Date.now();
+      broadcastAuthEvent(AuthEvent.ACTIVITY);
+      setTokenExpiresAt(getTokenExpiry(accessToken));
+      setWarning(null);
+    } catch (error) {
+      // e.g. login_required: the Auth0 session is already over
+      setRefreshError(error);
+    } finally {
+      setIsRefreshing(false);
+    }
+  }, [getAccessTokenSilently]);
+
+  return { warning, isRefreshing, refreshError, staySignedIn, logout };
+};
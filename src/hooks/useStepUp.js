@@ -0,0 +1,231 @@
+/**
+ * useStepUp - Ask for a fresh login (or MFA) before a sensitive action, then do it
+ *
+ * Being logged in is enough to read data, but deleting a post or changing someone's roles
+ * should come from the user, not from whoever found their unlocked computer. The ID token
+ * says when the user last entered their credentials (`auth_time`) and how (`amr`, e.g.
+ * ["pwd", "mfa"]). When that's not good enough, this hook logs them in again with:
+ * - max_age: Auth0 asks for the credentials again if the last login is older than that
+ * - acr_values: Auth0 asks for the second factor
+ *
+ * It uses a popup, so the page and what the user was doing stay put, and falls back to a
+ * redirect when the browser blocks popups. The backend has the last word: its
+ * requireStepUp middleware answers 401 with ApiErrorType.STEP_UP_REQUIRED when the access
+ * token falls short, and this hook then steps up with what the backend asked for and retries.
+ *
+ * Usage:
+ *   const { runWithStepUp } = useStepUp();
+ *   const result = await runWithStepUp(() => deletePost(post.id));
+ *
+ * After a redirect the page reloads, so the action is lost. Pass `resumeKey` and
+ * `onResume` to get it back: the arguments given to runWithStepUp are saved under that
+ * key, and onResume receives them once the user is back with a fresh enough login.
+ */
+
+import { useAuth0 } from "@auth0/auth0-react";
+import { useCallback, useEffect, useRef, useState } from "react";
+import { ApiErrorType } from "../services/external-api.service";
+import { createReturnState } from "../utils/return-to";
+import { externalApiAuthorizationParams } from "./useExternalAPI";
+
+// What Auth0 understands as "use multi-factor authentication"
+export const mfaAcrValues =
+  "http://schemas.openid.net/pape/policies/2007/06/multi-factor";
+
+// Matches STEP_UP_MAX_AGE in backend-example/server.js
+const defaultMaxAge = 5 * 60;
+
+const pendingStepUpKey = "pending-step-up";
+
+// An action left pending longer than this (e.g. the login was abandoned) isn't resumed
+const pendingStepUpLifetime = 10 * 60 * 1000;
+
+/**
+ * @param {Object} claims - ID token claims
+ * @param {{ maxAge: number, acrValues?: string }} requirements
+ */
+const isLoginGoodEnough = (claims, { maxAge, acrValues }) => {
+  const authTime = claims && claims.auth_time;
+  const amr = (claims && claims.amr) || [];
+
+  if (typeof authTime !== "number" || Date.now() / 1000 - authTime > maxAge) {
+    return false;
+  }
+
+  return !acrValues || amr.includes("mfa");
+};
+
+const isPopupBlocked = (error) =>
+  /unable to open a popup/i.test((error && error.message) || "");
+
+const isPopupCancelled = (error) =>
+  ["cancelled", "popup_cancelled"].includes(error && error.error);
+
+const readPendingStepUp = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(pendingStepUpKey));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.maxAge] - Seconds since the last login, at most
+ * @param {boolean} [options.requireMfa] - The last login must have used MFA
+ * @param {string} [options.resumeKey] - Names the action, to resume it after a redirect
+ * @param {Function} [options.onResume] - Receives the saved arguments after a redirect
+ * @returns {{ runWithStepUp: Function, isSteppingUp: boolean }}
+ *   runWithStepUp(action, ...args) calls action(...args) and returns its `{ data, error, status }`.
+ *   If the user doesn't complete the login, `error.type` is ApiErrorType.STEP_UP_REQUIRED.
+ */
+export const useStepUp = ({
+  maxAge = defaultMaxAge,
+  requireMfa = false,
+  resumeKey,
+  onResume,
+} = {}) => {
+  const {
+    isAuthenticated,
+    getIdTokenClaims,
+    loginWithPopup,
+    loginWithRedirect,
+  } = useAuth0();
+  const [isSteppingUp, setIsSteppingUp] = useState(false);
+
+  // Kept in a ref, so a new onResume function on each render doesn't resume twice
+  const onResumeRef = useRef(onResume);
+  onResumeRef.current = onResume;
+
+  /**
+   * @returns {Promise<boolean>} Whether the user logged in again. Never resolves when
+   *   it redirects, since the page is about to unload.
+   */
+  const stepUp = useCallback(
+    async ({ maxAge: requiredMaxAge, acrValues }, args) => {
+      // The same audience and scope as useExternalAPI: the SDK caches tokens per audience and
+      // scope, and the retried action must get the new token, not the one from before
+      const authorizationParams = {
+        ...externalApiAuthorizationParams,
+        max_age: requiredMaxAge,
+        ...(acrValues && { acr_values: acrValues }),
+      };
+
+      setIsSteppingUp(true);
+
+      try {
+        await loginWithPopup({ authorizationParams });
+        return true;
+      } catch (error) {
+        if (isPopupCancelled(error)) {
+          return false;
+        }
+
+        if (!isPopupBlocked(error)) {
+          throw error;
+        }
+      } finally {
+        setIsSteppingUp(false);
+      }
+
+      if (resumeKey) {
+        sessionStorage.setItem(
+          pendingStepUpKey,
+          JSON.stringify({ key: resumeKey, args, savedAt: Date.now() })
+        );
+      }
+
+      await loginWithRedirect({
+        appState: createReturnState({ keepScroll: true }),
+        authorizationParams,
+      });
+      return new Promise(() => {});
+    },
+    [loginWithPopup, loginWithRedirect, resumeKey]
+  );
+
+  const runWithStepUp = useCallback(
+    async (action, ...args) => {
+      const requirements = {
+        maxAge,
+        ...(requireMfa && { acrValues: mfaAcrValues }),
+      };
+      const notSteppedUp = {
+        data: null,
+        error: {
+          type: ApiErrorType.STEP_UP_REQUIRED,
+          message: "The login was cancelled",
+          status: null,
+        },
+        status: null,
+      };
+
+      try {
+        // Ask up front when the ID token already tells the login is too old
+        if (
+          !isLoginGoodEnough(await getIdTokenClaims(), requirements) &&
+          !(await stepUp(requirements, args))
+        ) {
+          return notSteppedUp;
+        }
+
+        const result = await action(...args);
+
+        if (
+          !result.error ||
+          result.error.type !== ApiErrorType.STEP_UP_REQUIRED
+        ) {
+          return result;
+        }
+
+        // The backend wants more than the ID token suggested: log in the way it says, once
+        const details = result.error.details || {};
+        const steppedUp = await stepUp(
+          {
+            maxAge: details.maxAge || requirements.maxAge,
+            acrValues: details.acrValues || requirements.acrValues,
+          },
+          args
+        );
+
+        return steppedUp ? action(...args) : notSteppedUp;
+      } catch (error) {
+        return {
+          data: null,
+          error: {
+            type: ApiErrorType.STEP_UP_REQUIRED,
+            message: error.error_description || error.message,
+            status: null,
+          },
+          status: null,
+        };
+      }
+    },
+    [maxAge, requireMfa, getIdTokenClaims, stepUp]
+  );
+
+  // Back from a step-up redirect: resume the action that was interrupted
+  useEffect(() => {
+    const pending = readPendingStepUp();
+
+    if (
+      !isAuthenticated ||
+      !resumeKey ||
+      !pending ||
+      pending.key !== resumeKey
+    ) {
+      return;
+    }
+
+    sessionStorage.removeItem(pendingStepUpKey);
+
+    if (
+      onResumeRef.current &&
+      Date.now() - pending.savedAt < pendingStepUpLifetime
+    ) {
+      onResumeRef.current(...(pending.args || []));
+    }
+  }, [isAuthenticated, resumeKey]);
+
+  return { runWithStepUp, isSteppingUp };
+};
@@ -0,0 +1,159 @@
+import { useAuth0 } from "@auth0/auth0-react";
+import React from "react";
+import { flushSync } from "react-dom";
+import { createRoot } from "react-dom/client";
+import { ApiErrorType } from "../services/external-api.service";
+import { externalApiAuthorizationParams } from "./useExternalAPI";
+import { useStepUp } from "./useStepUp";
+
+jest.mock("@auth0/auth0-react", () => ({ useAuth0: jest.fn() }));
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Stands in for the SDK: tokens are cached per audience and scope, like auth0-spa-js does,
+ * and a login only replaces the token of the audience and scope it asked for
+ */
+const createFakeAuth0 = ({ authTime, amr = ["pwd"] }) => {
+  const cacheKey = ({ audience, scope } = {}) => `${audience}::${scope}`;
+  const tokens = new Map([
+    [cacheKey(), "old-token"],
+    [cacheKey(externalApiAuthorizationParams), "old-token"],
+  ]);
+  let claims = { auth_time: authTime, amr };
+
+  return {
+    isAuthenticated: true,
+    getIdTokenClaims: jest.fn(async () => claims),
+    getAccessTokenSilently: jest.fn(
+      async ({ authorizationParams } = {}) =>
+        tokens.get(cacheKey(authorizationParams)) || "old-token"
+    ),
+    loginWithPopup: jest.fn(async ({ authorizationParams } = {}) => {
+      claims = {
+        auth_time: now(),
+        amr: authorizationParams.acr_values ? ["pwd", "mfa"] : ["pwd"],
+      };
+      tokens.set(cacheKey(authorizationParams), "stepped-up-token");
+    }),
+    loginWithRedirect: jest.fn(),
+  };
+};
+
+/**
+ * An action calling the backend like useExternalAPI does: the backend refuses the token
+ * from before the step-up
+ */
+const createAction = (auth0) =>
+  jest.fn(async () => {
+    const token = await auth0.getAccessTokenSilently({
+      authorizationParams: externalApiAuthorizationParams,
+    });
+
+    return token === "stepped-up-token"
+      ? { data: { token }, error: null, status: 204 }
+      : {
+          data: null,
+          error: {
+            type: ApiErrorType.STEP_UP_REQUIRED,
+            message: "A more recent login is required",
+            status: 401,
+            details: { maxAge: 300 },
+          },
+          status: 401,
+        };
+  });
+
+const renderStepUp = (options) => {
+  const hook = {};
+  const Probe = () => {
+    Object.assign(hook, useStepUp(options));
+    return null;
+  };
+  const root = createRoot(document.createElement("div"));
+
+  // Renders right away, so the hook's functions can be called as soon as this returns
+  flushSync(() => {
+    root.render(<Probe />);
+  });
+
+  return { hook, unmount: () => root.unmount() };
+};
+
+describe("useStepUp", () => {
+  let view;
+
+  afterEach(() => {
+    view.unmount();
+    jest.clearAllMocks();
+  });
+
+  it("logs in again when the login is too old, then runs the action with the new token", async () => {
+    const auth0 = createFakeAuth0({ authTime: now() - 60 * 60 });
+    const action = createAction(auth0);
+
+    useAuth0.mockReturnValue(auth0);
+    view = renderStepUp();
+
+    const result = await view.hook.runWithStepUp(action);
+
+    expect(auth0.loginWithPopup).toHaveBeenCalledWith({
+      authorizationParams: expect.objectContaining({
+        ...externalApiAuthorizationParams,
+        max_age: 300,
+      }),
+    });
+    expect(action).toHaveBeenCalledTimes(1);
+    expect(result).toEqual({
+      data: { token: "stepped-up-token" },
+      error: null,
+      status: 204,
+    });
+  });
+
+  it("retries with the new token when the backend asks for a step-up", async () => {
+    const auth0 = createFakeAuth0({ authTime: now() });
+    const action = createAction(auth0);
+
+    useAuth0.mockReturnValue(auth0);
+    view = renderStepUp();
+
+    const result = await view.hook.runWithStepUp(action);
+
+    expect(auth0.loginWithPopup).toHaveBeenCalledTimes(1);
+    expect(action).toHaveBeenCalledTimes(2);
+    expect(result.data).toEqual({ token: "stepped-up-token" });
+  });
+
+  it("asks for MFA when required", async () => {
+    const auth0 = createFakeAuth0({ authTime: now() });
+    const action = createAction(auth0);
+
+    useAuth0.mockReturnValue(auth0);
+    view = renderStepUp({ requireMfa: true });
+
+    await view.hook.runWithStepUp(action);
+
+    expect(auth0.loginWithPopup).toHaveBeenCalledWith({
+      authorizationParams: expect.objectContaining({
+        acr_values: expect.any(String),
+      }),
+    });
+  });
+
+  it("doesn't run the action when the user closes the popup", async () => {
+    const auth0 = createFakeAuth0({ authTime: now() - 60 * 60 });
+    const action = createAction(auth0);
+
+    auth0.loginWithPopup.mockRejectedValue(
+      Object.assign(new Error("Popup closed"), { error: "cancelled" })
+    );
+    useAuth0.mockReturnValue(auth0);
+    view = renderStepUp();
+
+    const result = await view.hook.runWithStepUp(action);
+
+    expect(action).not.toHaveBeenCalled();
+    expect(result.error.type).toBe(ApiErrorType.STEP_UP_REQUIRED);
+  });
+});
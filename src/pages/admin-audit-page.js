@@ -0,0 +1,201 @@
+/**
+ * AdminAuditPage - Shows who called YOUR backend, what they called and how it went
+ *
+ * The backend (backend-example/server.js) records an entry for every request with a
+ * valid access token, including the ones it refuses. Requests without a valid token
+ * aren't recorded: there's no user to attribute them to.
+ *
+ * The filters and page live in the URL (e.g. /admin/audit?route=/api/posts&page=2),
+ * like the Posts page. Exports contain every matching entry, not only the current page.
+ */
+
+import React, { useCallback, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { AdminNav } from "../components/admin/admin-nav";
+import { AuditFilters } from "../components/admin/audit-filters";
+import { AuditLogTable } from "../components/admin/audit-log-table";
+import { ErrorPanel } from "../components/error-panel";
+import { PageLayout } from "../components/page-layout";
+import { PageLoader } from "../components/page-loader";
+import { Pagination } from "../components/pagination";
+import { useApiRequest } from "../hooks/useApiRequest";
+import { useExternalAPI } from "../hooks/useExternalAPI";
+import { usePageInRange } from "../hooks/usePageInRange";
+import { isDay, toDay } from "../utils/dates";
+import { downloadFile } from "../utils/download";
+import { readPageParam, toSearchParams } from "../utils/search-params";
+
+const pageSize = 25;
+
+// Left out of the URL, so plain /admin/audit means "everything, first page"
+const queryDefaults = { page: 1 };
+
+/**
+ * Anyone can type anything in the URL: invalid values are ignored
+ */
+const readAuditQuery = (searchParams) => {
+  const from = searchParams.get("from");
+  const to = searchParams.get("to");
+
+  return {
+    page: readPageParam(searchParams),
+    userId: (searchParams.get("userId") || "").trim(),
+    route: (searchParams.get("route") || "").trim(),
+    from: isDay(from) ? from : "",
+    to: isDay(to) ? to : "",
+  };
+};
+
+const exportFormats = [
+  { format: "csv", label: "Export CSV" },
+  { format: "json", label: "Export JSON" },
+];
+
+export const AdminAuditPage = () => {
+  const { getAuditLog, exportAuditLog } = useExternalAPI();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { page, userId, route, from, to } = readAuditQuery(searchParams);
+
+  const getEntries = useCallback(
+    ({ signal }) =>
+      getAuditLog(
+        {
+          page,
+          limit: pageSize,
+          ...toSearchParams({ userId, route, from, to }),
+        },
+        { signal }
+      ),
+    [getAuditLog, page, userId, route, from, to]
+  );
+  const { data, error, isLoading, reload } = useApiRequest(getEntries);
+
+  // The format being exported, null when no export is running
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const [exportError, setExportError] = useState(null);
+
+  /**
+   * Changing a filter goes back to the first page
+   */
+  const updateQuery = (changes) => {
+    setSearchParams(
+      toSearchParams(
+        { page: 1, userId, route, from, to, ...changes },
+        queryDefaults
+      )
+    );
+  };
+
+  const changePage = (nextPage) => {
+    updateQuery({ page: nextPage });
+    window.scrollTo({ top: 0 });
+  };
+
+  // The log only grows, but filters typed in the URL can point past the last page
+  usePageInRange(data && data.pagination, page, (lastPage) =>
+    setSearchParams(
+      toSearchParams(
+        { page: lastPage, userId, route, from, to },
+        queryDefaults
+      ),
+      { replace: true }
+    )
+  );
+
+  const handleExport = async (format) => {
+    setExportError(null);
+    setExportingFormat(format);
+
+    const result = await exportAuditLog(
+      toSearchParams({ userId, route, from, to }),
+      format
+    );
+
+    setExportingFormat(null);
+
+    if (result.error) {
+      setExportError(result.error);
+      return;
+    }
+
+    downloadFile(result.data, `audit-log-${toDay(new Date())}.${format}`);
+  };
+
+  const renderEntries = () => {
+    if (error) {
+      return (
+        <ErrorPanel error={error} onRetry={reload} isRetrying={isLoading} />
+      );
+    }
+
+    // Keep showing the current entries while the next page loads
+    if (!data) {
+      return <PageLoader />;
+    }
+
+    const isFiltered = Boolean(userId || route || from || to);
+
+    return (
+      <>
+        <AuditLogTable
+          entries={data.entries}
+          emptyMessage={
+            isFiltered
+              ? "No entries match these filters."
+              : "No entries yet. Requests to the backend will show up here."
+          }
+          isLoading={isLoading}
+        />
+        <Pagination
+          pagination={data.pagination}
+          onPageChange={changePage}
+          isLoading={isLoading}
+        />
+      </>
+    );
+  };
+
+  return (
+    <PageLayout>
+      <div className="content-layout">
+        <h1 id="page-title" className="content__title">
+          Audit log
+        </h1>
+        <div className="content__body">
+          <AdminNav />
+          <p id="page-description">
+            <span>
+              <strong>Your own backend</strong> records every request made with
+              a valid access token: who, which route, the outcome, and the
+              permissions it checked.
+            </span>
+            <span>
+              <strong>
+                Only users with the <code>read:audit-log</code> permission can
+                access this page.
+              </strong>
+            </span>
+          </p>
+          <AuditFilters
+            filters={{ userId, route, from, to }}
+            onChange={updateQuery}
+          />
+          <div className="audit-log__toolbar">
+            {exportFormats.map(({ format, label }) => (
+              <button
+                key={format}
+                className="button button--secondary button--compact"
+                onClick={() => handleExport(format)}
+                disabled={Boolean(exportingFormat)}
+              >
+                {exportingFormat === format ? "Exporting..." : label}
+              </button>
+            ))}
+          </div>
+          {exportError && <ErrorPanel error={exportError} />}
+          {renderEntries()}
+        </div>
+      </div>
+    </PageLayout>
+  );
+};
@@ -1,36 +1,28 @@
-import React, { useEffect, useState } from "react";
+import { useAuth0 } from "@auth0/auth0-react";
+import React, { useCallback } from "react";
+import { AdminNav } from "../components/admin/admin-nav";
 import { CodeSnippet } from "../components/code-snippet";
+import { ErrorPanel } from "../components/error-panel";
 import { PageLayout } from "../components/page-layout";
+import { useApiRequest } from "../hooks/useApiRequest";
 import { getAdminResource } from "../services/message.service";
 
 export const AdminPage = () => {
-  const [message, setMessage] = useState("");
-
-  useEffect(() => {
-    let isMounted = true;
-
-    const getMessage = async () => {
-      const { data, error } = await getAdminResource();
-
-      if (!isMounted) {
-        return;
-      }
-
-      if (data) {
-        setMessage(JSON.stringify(data, null, 2));
-      }
-
-      if (error) {
-        setMessage(JSON.stringify(error, null, 2));
-      }
-    };
-
-    getMessage();
-
-    return () => {
-      isMounted = false;
-    };
-  }, []);
+  const { user, getAccessTokenSilently } = useAuth0();
+  const userId = user?.sub;
+
+  const getMessage = useCallback(
+    ({ signal, onRevalidate }) =>
+      getAdminResource({
+        getAccessToken: getAccessTokenSilently,
+        userId,
+        signal,
+        onRevalidate,
+      }),
+    [getAccessTokenSilently, userId]
+  );
+  const { data, error, isLoading, reload } = useApiRequest(getMessage);
+  const message = data ? JSON.stringify(data, null, 2) : "";
 
   return (
     <PageLayout>
@@ -39,6 +31,7 @@ export const AdminPage = () => {
           Admin Page
         </h1>
         <div className="content__body">
+          <AdminNav />
           <p id="page-description">
             <span>
               This page retrieves an <strong>admin message</strong> from an
@@ -52,7 +45,11 @@ export const AdminPage = () => {
               </strong>
             </span>
           </p>
-          <CodeSnippet title="Admin Message" code={message} />
+          {error ? (
+            <ErrorPanel error={error} onRetry={reload} isRetrying={isLoading} />
+          ) : (
+            <CodeSnippet title="Admin Message" code={message} />
+          )}
         </div>
       </div>
     </PageLayout>
@@ -0,0 +1,136 @@
+/**
+ * AdminUsersPage - Lists the users known to YOUR backend and manages their roles
+ *
+ * The roles (backend-example/roles.js) and their assignments are stored by the backend,
+ * not in Auth0. The backend adds the permissions of these roles to the ones in the
+ * access token when it checks a request, so an assigned role applies to the backend's
+ * endpoints right away. It doesn't change the access token: the app asks the backend
+ * for these permissions (usePermissions), so tabs and route guards follow them too.
+ *
+ * Every endpoint used here needs the `manage:users` permission. Changing a role also
+ * needs a recent login (and MFA, with STEP_UP_ADMIN_MFA=true on the backend): useStepUp
+ * asks for it before going on.
+ */
+
+import { useAuth0 } from "@auth0/auth0-react";
+import React, { useCallback, useState } from "react";
+import { AdminNav } from "../components/admin/admin-nav";
+import { UserRoleTable } from "../components/admin/user-role-table";
+import { ErrorPanel } from "../components/error-panel";
+import { PageLayout } from "../components/page-layout";
+import { PageLoader } from "../components/page-loader";
+import { useApiRequest } from "../hooks/useApiRequest";
+import { useExternalAPI } from "../hooks/useExternalAPI";
+import { useStepUp } from "../hooks/useStepUp";
+import { invalidateUserPermissions } from "../services/permission.service";
+
+export const AdminUsersPage = () => {
+  const { user } = useAuth0();
+  const { getAdminUsers, getAdminRoles, assignUserRole, revokeUserRole } =
+    useExternalAPI();
+
+  const usersRequest = useApiRequest(getAdminUsers);
+  const rolesRequest = useApiRequest(getAdminRoles);
+
+  // `{ userId, role }` while a change is being saved
+  const [pendingChange, setPendingChange] = useState(null);
+  const [changeError, setChangeError] = useState(null);
+
+  const { reload: reloadUsers } = usersRequest;
+  const { reload: reloadRoles } = rolesRequest;
+
+  const reload = useCallback(() => {
+    reloadUsers();
+    reloadRoles();
+  }, [reloadUsers, reloadRoles]);
+
+  // After a step-up through a redirect, the page reloads: the change starts over from here
+  const { runWithStepUp } = useStepUp({
+    resumeKey: "admin-role-change",
+    onResume: (userId, role, isAssigned) =>
+      changeRole(userId, role, isAssigned),
+  });
+
+  const changeRole = async (userId, role, isAssigned) => {
+    setChangeError(null);
+    setPendingChange({ userId, role });
+
+    const result = await runWithStepUp(
+      () =>
+        isAssigned
+          ? revokeUserRole(userId, role)
+          : assignUserRole(userId, role),
+      userId,
+      role,
+      isAssigned
+    );
+
+    setPendingChange(null);
+
+    if (result.error) {
+      setChangeError(result.error);
+    } else {
+      // The next page visited asks the backend again, in case the change was for this user
+      invalidateUserPermissions();
+      reloadUsers();
+    }
+  };
+
+  const handleToggleRole = (targetUser, role, isAssigned) =>
+    changeRole(targetUser.userId, role, isAssigned);
+
+  const renderUsers = () => {
+    const error = usersRequest.error || rolesRequest.error;
+
+    if (error) {
+      return (
+        <ErrorPanel
+          error={error}
+          onRetry={reload}
+          isRetrying={usersRequest.isLoading || rolesRequest.isLoading}
+        />
+      );
+    }
+
+    if (!usersRequest.data || !rolesRequest.data) {
+      return <PageLoader />;
+    }
+
+    return (
+      <UserRoleTable
+        users={usersRequest.data.users}
+        roles={rolesRequest.data.roles}
+        currentUserId={user?.sub}
+        pendingChange={pendingChange}
+        onToggleRole={handleToggleRole}
+      />
+    );
+  };
+
+  return (
+    <PageLayout>
+      <div className="content-layout">
+        <h1 id="page-title" className="content__title">
+          Users &amp; roles
+        </h1>
+        <div className="content__body">
+          <AdminNav />
+          <p id="page-description">
+            <span>
+              Roles are stored by <strong>your own backend</strong>, and grant
+              their permissions on its endpoints as soon as they're assigned.
+            </span>
+            <span>
+              <strong>
+                Only users with the <code>manage:users</code> permission can
+                access this page.
+              </strong>
+            </span>
+          </p>
+          {changeError && <ErrorPanel error={changeError} />}
+          {renderUsers()}
+        </div>
+      </div>
+    </PageLayout>
+  );
+};
@@ -0,0 +1,197 @@
+/**
+ * AnalyticsPage - Shows stats about the user's posts, computed by YOUR backend
+ *
+ * The backend (backend-example/server.js) computes everything from its stored posts
+ * for the selected period. Only the last login comes from Auth0: it's the `auth_time`
+ * claim of the ID token, i.e. when the user last actually entered their credentials.
+ *
+ * The period lives in the URL (?days=7 or ?from=2024-01-01&to=2024-01-31), like the
+ * filters of the Posts page.
+ */
+
+import { useAuth0 } from "@auth0/auth0-react";
+import React, { useCallback, useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import {
+  DateRangePicker,
+  dateRangePresets,
+} from "../components/analytics/date-range-picker";
+import { BarChart } from "../components/charts/bar-chart";
+import { ErrorPanel } from "../components/error-panel";
+import { PageLayout } from "../components/page-layout";
+import { PageLoader } from "../components/page-loader";
+import { useApiRequest } from "../hooks/useApiRequest";
+import { useExternalAPI } from "../hooks/useExternalAPI";
+import { dayInMs, isDay, toDay } from "../utils/dates";
+
+const defaultDays = 30;
+
+const readDateRange = (searchParams) => {
+  const from = searchParams.get("from");
+  const to = searchParams.get("to");
+
+  if (isDay(from) && isDay(to)) {
+    return { from, to };
+  }
+
+  const days = Number(searchParams.get("days"));
+
+  return { days: dateRangePresets.includes(days) ? days : defaultDays };
+};
+
+// A preset covers the last N days, today included
+const toApiRange = ({ days, from, to }) => {
+  if (!days) {
+    return { from, to };
+  }
+
+  const today = new Date();
+
+  return {
+    from: toDay(new Date(today.getTime() - (days - 1) * dayInMs)),
+    to: toDay(today),
+  };
+};
+
+// Default values are left out, so plain /analytics means "last 30 days"
+const toSearchParams = ({ days, from, to }) => {
+  if (!days) {
+    return { from, to };
+  }
+
+  return days === defaultDays ? {} : { days: String(days) };
+};
+
+// "2024-01-31" → "Jan 31", read as UTC so it never shifts by a day
+const formatDay = (day) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+
+const StatCard = ({ label, value }) => (
+  <div className="analytics__stat">
+    <span className="analytics__stat-label">{label}</span>
+    <span className="analytics__stat-value">{value}</span>
+  </div>
+);
+
+export const AnalyticsPage = () => {
+  const { getIdTokenClaims } = useAuth0();
+  const { getAnalytics } = useExternalAPI();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const range = readDateRange(searchParams);
+  const [lastLogin, setLastLogin] = useState(null);
+
+  const { from, to } = toApiRange(range);
+
+  const getStats = useCallback(
+    ({ signal }) => getAnalytics({ from, to }, { signal }),
+    [getAnalytics, from, to]
+  );
+  const { data, error, isLoading, reload } = useApiRequest(getStats);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const getLastLogin = async () => {
+      const claims = await getIdTokenClaims();
+
+      if (isMounted && claims && claims.auth_time) {
+        setLastLogin(new Date(claims.auth_time * 1000));
+      }
+    };
+
+    getLastLogin();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [getIdTokenClaims]);
+
+  const renderStats = () => {
+    if (error) {
+      return (
+        <ErrorPanel error={error} onRetry={reload} isRetrying={isLoading} />
+      );
+    }
+
+    if (!data) {
+      return <PageLoader />;
+    }
+
+    const topCategory = data.popularCategories[0];
+
+    return (
+      <div className={isLoading ? "analytics analytics--loading" : "analytics"}>
+        <div className="analytics__stats">
+          <StatCard label="Posts" value={data.totalPosts} />
+          <StatCard label="Views" value={data.totalViews} />
+          <StatCard
+            label="Top category"
+            value={topCategory ? topCategory.category : "None yet"}
+          />
+          <StatCard
+            label="Last login"
+            value={lastLogin ? lastLogin.toLocaleString() : "Unknown"}
+          />
+        </div>
+        <BarChart
+          title="Posts published per day"
+          data={data.activity.map(({ date, posts }) => ({
+            label: date,
+            value: posts,
+          }))}
+          formatLabel={formatDay}
+        />
+        <BarChart
+          title="Views per day"
+          data={data.activity.map(({ date, views }) => ({
+            label: date,
+            value: views,
+          }))}
+          formatLabel={formatDay}
+        />
+        {data.popularCategories.length > 0 && (
+          <BarChart
+            title="Posts per category"
+            data={data.popularCategories.map(({ category, posts }) => ({
+              label: category,
+              value: posts,
+            }))}
+          />
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <PageLayout>
+      <div className="content-layout">
+        <h1 id="page-title" className="content__title">
+          Analytics
+        </h1>
+        <div className="content__body">
+          <p id="page-description">
+            <span>
+              These stats are computed by <strong>your own backend</strong> from
+              the posts it stores, for the period you pick.
+            </span>
+            <span>
+              <strong>
+                Only users with the <code>read:analytics</code> permission can
+                access this page.
+              </strong>
+            </span>
+          </p>
+          <DateRangePicker
+            range={range}
+            onChange={(nextRange) => setSearchParams(toSearchParams(nextRange))}
+          />
+          {renderStats()}
+        </div>
+      </div>
+    </PageLayout>
+  );
+};
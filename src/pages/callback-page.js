@@ -1,13 +1,164 @@
+/**
+ * CallbackPage - Where Auth0 sends users back after they log in (REACT_APP_AUTH0_CALLBACK_URL)
+ *
+ * Auth0Provider does the actual work: it exchanges the `code` from the URL for tokens,
+ * then onRedirectCallback navigates to the page the user came from. This page only
+ * shows what's happening meanwhile.
+ *
+ * When the login fails, Auth0 comes back with `?error=...&error_description=...`
+ * instead of a code. The SDK exposes it as `error` in useAuth0(), and this page
+ * explains it and offers a way out instead of staying blank.
+ */
+
+import { useAuth0 } from "@auth0/auth0-react";
 import React from "react";
+import { Link, useSearchParams } from "react-router-dom";
 import { NavBar } from "../components/navigation/desktop/nav-bar";
 import { MobileNavBar } from "../components/navigation/mobile/mobile-nav-bar";
+import { PageLoader } from "../components/page-loader";
+
+/**
+ * The OAuth errors users run into most, as codes from the spec (RFC 6749, OpenID Connect).
+ * `retryParams` are the authorizationParams used by the "Try again" button.
+ */
+const knownErrors = {
+  access_denied: {
+    title: "Access denied",
+    message:
+      "The login was refused, or you declined the permissions this app asked for.",
+  },
+  login_required: {
+    title: "Please log in",
+    message:
+      "Your session with Auth0 has ended, so you need to enter your credentials again.",
+    retryParams: { prompt: "login" },
+  },
+  consent_required: {
+    title: "Permissions needed",
+    message:
+      "This app needs your consent to access your account. Log in again to review and accept its permissions.",
+    retryParams: { prompt: "consent" },
+  },
+  unverified_email: {
+    title: "Verify your email",
+    message:
+      "Your email address isn't verified yet. Open the link in the email we sent you, then log in again.",
+    retryLabel: "I've verified my email, log in",
+  },
+};
+
+const unknownError = {
+  title: "The login didn't complete",
+  message: "Auth0 couldn't log you in. Please try again.",
+};
+
+/**
+ * Auth0 has no error code for an unverified email: an Action denying the login returns
+ * access_denied, with a description that says so.
+ */
+const isUnverifiedEmailError = ({ code, description }) =>
+  code === "access_denied" && /verif(y|ied).*e-?mail/i.test(description || "");
+
+/**
+ * The SDK only handles callbacks it started (with a matching `state`). The URL is read
+ * too, so an error is shown even when the SDK ignored it.
+ */
+const readCallbackError = (error, searchParams) => {
+  if (error) {
+    return {
+      code: error.error || error.name,
+      description: error.error_description || error.message,
+    };
+  }
+
+  if (searchParams.get("error")) {
+    return {
+      code: searchParams.get("error"),
+      description: searchParams.get("error_description"),
+    };
+  }
+
+  return null;
+};
+
+const CallbackError = ({ error }) => {
+  const { loginWithRedirect } = useAuth0();
+  const details = isUnverifiedEmailError(error)
+    ? knownErrors.unverified_email
+    : knownErrors[error.code] || unknownError;
+
+  const retry = () =>
+    loginWithRedirect({
+      authorizationParams: details.retryParams || { prompt: "login" },
+    });
+
+  return (
+    <div className="error-panel" role="alert">
+      <h1 className="error-panel__title">{details.title}</h1>
+      <p className="error-panel__description">{details.message}</p>
+      {error.description && (
+        <p className="callback__error-description">
+          Auth0 said: <q>{error.description}</q> (<code>{error.code}</code>)
+        </p>
+      )}
+      <div className="callback__actions">
+        <button
+          className="button button--primary button--compact"
+          onClick={retry}
+        >
+          {details.retryLabel || "Try again"}
+        </button>
+        <Link className="button button--secondary button--compact" to="/">
+          Back to home
+        </Link>
+      </div>
+    </div>
+  );
+};
 
 export const CallbackPage = () => {
+  const { error, isLoading } = useAuth0();
+  const [searchParams] = useSearchParams();
+  const callbackError = readCallbackError(error, searchParams);
+
+  const renderContent = () => {
+    if (callbackError) {
+      return <CallbackError error={callbackError} />;
+    }
+
+    // Normally, onRedirectCallback leaves this page as soon as the tokens arrive
+    if (isLoading) {
+      return (
+        <div className="callback__progress" role="status">
+          <PageLoader />
+          <p>Finishing your login…</p>
+        </div>
+      );
+    }
+
+    // Opened directly, or reloaded after the login was already handled
+    return (
+      <div className="error-panel">
+        <h1 className="error-panel__title">Nothing to do here</h1>
+        <p className="error-panel__description">
+          This page finishes logins, and there's no login in progress.
+        </p>
+        <div className="callback__actions">
+          <Link className="button button--primary button--compact" to="/">
+            Back to home
+          </Link>
+        </div>
+      </div>
+    );
+  };
+
   return (
     <div className="page-layout">
       <NavBar />
       <MobileNavBar />
-      <div className="page-layout__content" />
+      <div className="page-layout__content">
+        <div className="content-layout">{renderContent()}</div>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,52 @@
+/**
+ * ConfigurationErrorPage - Shown instead of the app when REACT_APP_* variables are missing or malformed
+ *
+ * It can't use PageLayout: the navigation bar needs Auth0, and Auth0 is exactly
+ * what can't be set up without a valid configuration.
+ */
+
+import React from "react";
+import { configVariables } from "../config";
+import { CodeSnippet } from "../components/code-snippet";
+
+export const ConfigurationErrorPage = ({ errors }) => {
+  const envFileExample = configVariables
+    .map(({ name, example, required }) =>
+      required ? `${name}=${example}` : `# ${name}=${example}`
+    )
+    .join("\n");
+
+  return (
+    <div className="page-layout">
+      <div className="page-layout__content">
+        <div className="content-layout">
+          <h1 id="page-title" className="content__title">
+            Configuration Error
+          </h1>
+          <div className="content__body">
+            <p id="page-description">
+              <span>
+                The app can't start because some environment variables are
+                missing or malformed. Fix them in the <code>.env</code> file at
+                the root of the project and restart <code>npm start</code>.
+              </span>
+            </p>
+            <ul className="config-errors">
+              {errors.map((error) => (
+                <li key={error.name} className="config-errors__item">
+                  <strong className="config-errors__name">
+                    <code>{error.name}</code> {error.problem}
+                  </strong>
+                  <span className="config-errors__description">
+                    {error.description} Example: <code>{error.example}</code>
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <CodeSnippet title=".env" code={envFileExample} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
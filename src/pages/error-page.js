@@ -0,0 +1,12 @@
+import React from "react";
+import { ErrorFallback } from "../components/error-fallback";
+import { PageLayout } from "../components/page-layout";
+
+/**
+ * Replaces a page that crashed while rendering, keeping the navigation usable
+ */
+export const ErrorPage = ({ error, reset }) => (
+  <PageLayout>
+    <ErrorFallback error={error} reset={reset} />
+  </PageLayout>
+);
@@ -0,0 +1,38 @@
+import React from "react";
+import { PageLayout } from "../components/page-layout";
+
+export const ForbiddenPage = ({ permissions = [], roles = [] }) => {
+  return (
+    <PageLayout>
+      <div className="content-layout">
+        <h1 id="page-title" className="content__title">
+          403 Forbidden
+        </h1>
+        <div className="content__body">
+          <p id="page-description">
+            <span>
+              You are logged in, but your account is not allowed to access this
+              page.
+            </span>
+            {permissions.length > 0 && (
+              <span>
+                Required permissions:{" "}
+                <strong>
+                  <code>{permissions.join(", ")}</code>
+                </strong>
+              </span>
+            )}
+            {roles.length > 0 && (
+              <span>
+                Required roles:{" "}
+                <strong>
+                  <code>{roles.join(", ")}</code>
+                </strong>
+              </span>
+            )}
+          </p>
+        </div>
+      </div>
+    </PageLayout>
+  );
+};
@@ -0,0 +1,220 @@
+/**
+ * PostsPage - Lists, creates, edits and deletes the user's posts
+ *
+ * The posts live in YOUR backend (backend-example/server.js), which checks the
+ * access token on every request:
+ * - `read:posts` is needed to see this page and the list
+ * - `write:posts` is needed to create, edit and delete. Without it the buttons
+ *   are hidden, but the backend is what actually enforces it.
+ *
+ * Deleting a post also needs a recent login: if the last one is too old, useStepUp asks
+ * the user to log in again before going on.
+ *
+ * The page, search, category and sort live in the URL (e.g. /posts?page=2&sort=oldest),
+ * so a filtered list can be bookmarked or shared, and the back button undoes a change.
+ */
+
+import React, { useCallback, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { ErrorPanel } from "../components/error-panel";
+import { PageLayout } from "../components/page-layout";
+import { PageLoader } from "../components/page-loader";
+import { Pagination } from "../components/pagination";
+import { PostFilters, postSortOptions } from "../components/posts/post-filters";
+import { PostForm, postCategories } from "../components/posts/post-form";
+import { PostList } from "../components/posts/post-list";
+import { useApiRequest } from "../hooks/useApiRequest";
+import { useExternalAPI } from "../hooks/useExternalAPI";
+import { Permission, usePermissions } from "../hooks/usePermissions";
+import { usePageInRange } from "../hooks/usePageInRange";
+import { useStepUp } from "../hooks/useStepUp";
+import { readPageParam, toSearchParams } from "../utils/search-params";
+
+const pageSize = 10;
+const defaultSort = postSortOptions[0].value;
+
+// Left out of the URL, so plain /posts means "first page, newest first"
+const queryDefaults = { page: 1, sort: defaultSort };
+
+/**
+ * Anyone can type anything in the URL: unknown values fall back to the defaults
+ */
+const readPostsQuery = (searchParams) => {
+  const category = searchParams.get("category");
+  const sort = searchParams.get("sort");
+
+  return {
+    page: readPageParam(searchParams),
+    category: postCategories.includes(category) ? category : "",
+    q: (searchParams.get("q") || "").trim(),
+    sort: postSortOptions.some(({ value }) => value === sort)
+      ? sort
+      : defaultSort,
+  };
+};
+
+export const PostsPage = () => {
+  const { getUserPosts, createPost, updatePost, deletePost } = useExternalAPI();
+  const { hasPermissions } = usePermissions();
+  const canWrite = hasPermissions([Permission.WRITE_POSTS]);
+
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { page, category, q, sort } = readPostsQuery(searchParams);
+
+  const getPosts = useCallback(
+    ({ signal }) =>
+      getUserPosts(
+        {
+          page,
+          limit: pageSize,
+          sort,
+          ...(category && { category }),
+          ...(q && { q }),
+        },
+        { signal }
+      ),
+    [getUserPosts, page, category, q, sort]
+  );
+  const { data, error, isLoading, reload } = useApiRequest(getPosts);
+
+  // null when the form is closed, `{ post }` while editing, `{}` for a new post
+  const [form, setForm] = useState(null);
+  const [deleteError, setDeleteError] = useState(null);
+
+  /**
+   * Changing the search, category or sort goes back to the first page
+   */
+  const updateQuery = (changes) => {
+    setSearchParams(
+      toSearchParams({ page: 1, category, q, sort, ...changes }, queryDefaults)
+    );
+  };
+
+  const changePage = (nextPage) => {
+    updateQuery({ page: nextPage });
+    window.scrollTo({ top: 0 });
+  };
+
+  // The page can become empty, e.g. after deleting its last post: show the last page instead
+  usePageInRange(data && data.pagination, page, (lastPage) =>
+    setSearchParams(
+      toSearchParams({ page: lastPage, category, q, sort }, queryDefaults),
+      { replace: true }
+    )
+  );
+
+  const handleSubmit = async (values) => {
+    const result = form.post
+      ? await updatePost(form.post.id, values)
+      : await createPost(values);
+
+    if (!result.error) {
+      setForm(null);
+      reload();
+    }
+
+    return result;
+  };
+
+  // After a step-up through a redirect, the page reloads: the deletion starts over from here
+  const { runWithStepUp } = useStepUp({
+    resumeKey: "delete-post",
+    onResume: (postId) => deletePostById(postId),
+  });
+
+  const deletePostById = async (postId) => {
+    setDeleteError(null);
+
+    const result = await runWithStepUp(deletePost, postId);
+
+    if (result.error) {
+      setDeleteError(result.error);
+    } else {
+      reload();
+    }
+
+    return result;
+  };
+
+  const handleDelete = (post) => deletePostById(post.id);
+
+  const renderPosts = () => {
+    if (error) {
+      return (
+        <ErrorPanel error={error} onRetry={reload} isRetrying={isLoading} />
+      );
+    }
+
+    // Keep showing the current list while it reloads after a change
+    if (!data) {
+      return <PageLoader />;
+    }
+
+    const isFiltered = Boolean(category || q);
+
+    return (
+      <>
+        <PostList
+          posts={data.posts}
+          canEdit={canWrite}
+          onEdit={(post) => setForm({ post })}
+          onDelete={handleDelete}
+          emptyMessage={
+            isFiltered ? "No posts match these filters." : "No posts yet."
+          }
+          isLoading={isLoading}
+        />
+        <Pagination
+          pagination={data.pagination}
+          onPageChange={changePage}
+          isLoading={isLoading}
+        />
+      </>
+    );
+  };
+
+  return (
+    <PageLayout>
+      <div className="content-layout">
+        <h1 id="page-title" className="content__title">
+          Posts
+        </h1>
+        <div className="content__body">
+          <p id="page-description">
+            <span>
+              Your posts are stored by <strong>your own backend</strong>, which
+              checks the permissions in your access token.
+            </span>
+            <span>
+              <strong>
+                Reading needs <code>read:posts</code>, writing needs{" "}
+                <code>write:posts</code>.
+              </strong>
+            </span>
+          </p>
+          {canWrite && !form && (
+            <div className="posts__toolbar">
+              <button
+                className="button button--primary button--compact"
+                onClick={() => setForm({})}
+              >
+                New post
+              </button>
+            </div>
+          )}
+          {form && (
+            <PostForm
+              key={form.post ? form.post.id : "new"}
+              post={form.post}
+              onSubmit={handleSubmit}
+              onCancel={() => setForm(null)}
+            />
+          )}
+          <PostFilters query={{ category, q, sort }} onChange={updateQuery} />
+          {deleteError && <ErrorPanel error={deleteError} />}
+          {renderPosts()}
+        </div>
+      </div>
+    </PageLayout>
+  );
+};
@@ -2,12 +2,15 @@
  * ProfilePage - Displays authenticated user information from Auth0's ID Token
  *
  * This component demonstrates how to access and display user profile data
- * that Auth0 provides through the ID Token after successful authentication.
+ * that Auth0 provides through the ID Token after successful authentication,
+ * next to the custom profile data your own backend stores for that user.
  */
 
 import { useAuth0 } from "@auth0/auth0-react";
 import React from "react";
 import { CodeSnippet } from "../components/code-snippet";
+import { CustomProfile } from "../components/custom-profile";
+import { LinkedIdentities } from "../components/linked-identities";
 import { PageLayout } from "../components/page-layout";
 
 export const ProfilePage = () => {
@@ -97,6 +100,23 @@ export const ProfilePage = () => {
                 code={JSON.stringify(user, null, 2)}
               />
             </div>
+            <section className="custom-profile">
+              <h2 className="custom-profile__title">App Profile</h2>
+              <p className="custom-profile__description">
+                Auth0 handles identity. Anything else about the user lives in
+                your own backend, stored under their Auth0 user ID (
+                <strong>{user.sub}</strong>).
+              </p>
+              <CustomProfile />
+            </section>
+            <section className="linked-identities">
+              <h2 className="linked-identities__title">Linked Accounts</h2>
+              <p className="linked-identities__description">
+                Link your other accounts (e.g. Google) to log in with any of
+                them as the same user.
+              </p>
+              <LinkedIdentities />
+            </section>
           </div>
         </div>
       </div>
@@ -1,36 +1,31 @@
-import React, { useEffect, useState } from "react";
+import { useAuth0 } from "@auth0/auth0-react";
+import React, { useCallback } from "react";
 import { CodeSnippet } from "../components/code-snippet";
+import { ErrorPanel } from "../components/error-panel";
 import { PageLayout } from "../components/page-layout";
+import { useApiRequest } from "../hooks/useApiRequest";
 import { getProtectedResource } from "../services/message.service";
 
 export const ProtectedPage = () => {
-  const [message, setMessage] = useState("");
-
-  useEffect(() => {
-    let isMounted = true;
-
-    const getMessage = async () => {
-      const { data, error } = await getProtectedResource();
-
-      if (!isMounted) {
-        return;
-      }
-
-      if (data) {
-        setMessage(JSON.stringify(data, null, 2));
-      }
-
-      if (error) {
-        setMessage(JSON.stringify(error, null, 2));
-      }
-    };
-
-    getMessage();
-
-    return () => {
-      isMounted = false;
-    };
-  }, []);
+  const { user, getAccessTokenSilently } = useAuth0();
+  const userId = user?.sub;
+
+  /**
+   * The API client asks for an access token issued for REACT_APP_AUTH0_AUDIENCE
+   * (set on the Auth0Provider), so the API server can verify it was meant for it.
+   */
+  const getMessage = useCallback(
+    ({ signal, onRevalidate }) =>
+      getProtectedResource({
+        getAccessToken: getAccessTokenSilently,
+        userId,
+        signal,
+        onRevalidate,
+      }),
+    [getAccessTokenSilently, userId]
+  );
+  const { data, error, isLoading, reload } = useApiRequest(getMessage);
+  const message = data ? JSON.stringify(data, null, 2) : "";
 
   return (
     <PageLayout>
@@ -48,7 +43,11 @@ export const ProtectedPage = () => {
               <strong>Only authenticated users can access this page.</strong>
             </span>
           </p>
-          <CodeSnippet title="Protected Message" code={message} />
+          {error ? (
+            <ErrorPanel error={error} onRetry={reload} isRetrying={isLoading} />
+          ) : (
+            <CodeSnippet title="Protected Message" code={message} />
+          )}
         </div>
       </div>
     </PageLayout>
@@ -1,36 +1,13 @@
-import React, { useEffect, useState } from "react";
+import React from "react";
 import { CodeSnippet } from "../components/code-snippet";
+import { ErrorPanel } from "../components/error-panel";
 import { PageLayout } from "../components/page-layout";
+import { useApiRequest } from "../hooks/useApiRequest";
 import { getPublicResource } from "../services/message.service";
 
 export const PublicPage = () => {
-  const [message, setMessage] = useState("");
-
-  useEffect(() => {
-    let isMounted = true;
-
-    const getMessage = async () => {
-      const { data, error } = await getPublicResource();
-
-      if (!isMounted) {
-        return;
-      }
-
-      if (data) {
-        setMessage(JSON.stringify(data, null, 2));
-      }
-
-      if (error) {
-        setMessage(JSON.stringify(error, null, 2));
-      }
-    };
-
-    getMessage();
-
-    return () => {
-      isMounted = false;
-    };
-  }, []);
+  const { data, error, isLoading, reload } = useApiRequest(getPublicResource);
+  const message = data ? JSON.stringify(data, null, 2) : "";
 
   return (
     <PageLayout>
@@ -48,7 +25,11 @@ export const PublicPage = () => {
               <strong>Any visitor can access this page.</strong>
             </span>
           </p>
-          <CodeSnippet title="Public Message" code={message} />
+          {error ? (
+            <ErrorPanel error={error} onRetry={reload} isRetrying={isLoading} />
+          ) : (
+            <CodeSnippet title="Public Message" code={message} />
+          )}
         </div>
       </div>
     </PageLayout>
@@ -0,0 +1,111 @@
+/**
+ * VerifyEmailPage - Shown by AuthenticationGuard instead of pages that require a verified email
+ *
+ * Whether the email is verified comes from the `email_verified` claim of the ID token.
+ * Clicking the link in the email changes the user in Auth0, but not the tokens the app
+ * already has: "I've verified, refresh" asks Auth0 for new ones (cacheMode: "off"),
+ * and the guard lets the user through as soon as the new ID token says so.
+ */
+
+import { useAuth0 } from "@auth0/auth0-react";
+import React, { useState } from "react";
+import { ErrorPanel } from "../components/error-panel";
+import { PageLayout } from "../components/page-layout";
+import { useExternalAPI } from "../hooks/useExternalAPI";
+import { ApiErrorType } from "../services/external-api.service";
+
+// Answers from the backend that are worth showing as they are, not as a generic error
+const explainedStatuses = [409, 429];
+
+export const VerifyEmailPage = () => {
+  const { user, getAccessTokenSilently } = useAuth0();
+  const { sendVerificationEmail } = useExternalAPI();
+  const [isSending, setIsSending] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+
+  const resend = async () => {
+    setIsSending(true);
+    setNotice(null);
+    setError(null);
+
+    const result = await sendVerificationEmail();
+
+    setIsSending(false);
+
+    if (!result.error) {
+      setNotice("A new verification email is on its way. Check your inbox.");
+    } else if (explainedStatuses.includes(result.error.status)) {
+      setNotice(result.error.message);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const refresh = async () => {
+    setIsRefreshing(true);
+    setNotice(null);
+    setError(null);
+
+    try {
+      // Skips the cached tokens, so Auth0 issues an ID token with the current email_verified.
+      // If it's true now, the guard renders the page instead of this one.
+      await getAccessTokenSilently({ cacheMode: "off" });
+      setNotice(
+        "Your email still isn't verified. Open the link in the email, then try again."
+      );
+    } catch (refreshError) {
+      setError({
+        type: ApiErrorType.UNKNOWN,
+        message: refreshError.error_description || refreshError.message,
+      });
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  return (
+    <PageLayout>
+      <div className="content-layout">
+        <h1 id="page-title" className="content__title">
+          Verify your email
+        </h1>
+        <div className="content__body">
+          <p id="page-description">
+            <span>
+              This page is only available once your email address is verified.
+            </span>
+            <span>
+              We sent a verification link to{" "}
+              <strong>{user.email || "your email address"}</strong>. Open it,
+              then come back here.
+            </span>
+          </p>
+          <div className="verify-email__actions">
+            <button
+              className="button button--primary button--compact"
+              onClick={refresh}
+              disabled={isRefreshing}
+            >
+              {isRefreshing ? "Checking..." : "I've verified, refresh"}
+            </button>
+            <button
+              className="button button--secondary button--compact"
+              onClick={resend}
+              disabled={isSending}
+            >
+              {isSending ? "Sending..." : "Resend the email"}
+            </button>
+          </div>
+          {notice && (
+            <p className="verify-email__notice" role="status">
+              {notice}
+            </p>
+          )}
+          {error && <ErrorPanel error={error} />}
+        </div>
+      </div>
+    </PageLayout>
+  );
+};
@@ -0,0 +1,106 @@
+/**
+ * Sends auth events between the tabs of this app, so they all agree on who's logged in.
+ *
+ * Each tab runs its own copy of the app, with its own Auth0 state and response cache.
+ * Without this, logging out in one tab leaves the others showing protected content
+ * until they're reloaded.
+ *
+ * BroadcastChannel delivers the events where it exists. Older browsers get them through
+ * the `storage` event instead, which fires in every OTHER tab when localStorage changes.
+ * Either way, a tab never receives its own events.
+ */
+
+export const AuthEvent = {
+  LOGIN: "login",
+  LOGOUT: "logout",
+  ACTIVITY: "activity",
+};
+
+const channelName = "auth-sync";
+
+const hasBroadcastChannel = typeof BroadcastChannel !== "undefined";
+
+const listeners = new Set();
+
+let channel = null;
+
+const notifyListeners = (event) => {
+  if (event && Object.values(AuthEvent).includes(event.type)) {
+    listeners.forEach((listener) => listener(event));
+  }
+};
+
+const handleStorage = (storageEvent) => {
+  // Removing the key right after writing it fires an event too, without a value
+  if (storageEvent.key !== channelName || !storageEvent.newValue) {
+    return;
+  }
+
+  try {
+    notifyListeners(JSON.parse(storageEvent.newValue));
+  } catch (error) {
+    // Not one of our events
+  }
+};
+
+/**
+ * One channel per tab, used to send AND receive: a BroadcastChannel doesn't receive
+ * its own messages, but it would receive those of another channel in the same tab.
+ */
+const getChannel = () => {
+  if (!channel) {
+    channel = new BroadcastChannel(channelName);
+    channel.onmessage = (messageEvent) => notifyListeners(messageEvent.data);
+  }
+
+  return channel;
+};
+
+/**
+ * Tell the other tabs that something happened
+ * @param {string} type - One of AuthEvent
+ * @param {Object} [data] - e.g. `{ userId }` for a login
+ */
+export const broadcastAuthEvent = (type, data = {}) => {
+  const event = { ...data, type, sentAt: Date.now() };
+
+  if (hasBroadcastChannel) {
+    getChannel().postMessage(event);
+    return;
+  }
+
+  try {
+    // A random part makes every event a change, even when it repeats the previous one
+    localStorage.setItem(
+      channelName,
+      JSON.stringify({ ...event, id: Math.random() })
+    );
+    localStorage.removeItem(channelName);
+  } catch (error) {
+    // Storage is full or disabled (e.g. some private modes): other tabs just won't know
+  }
+};
+
+/**
+ * @param {Function} listener - Receives each event sent by another tab
+ * @returns {Function} Stops listening
+ */
+export const subscribeToAuthEvents = (listener) => {
+  if (listeners.size === 0) {
+    if (hasBroadcastChannel) {
+      getChannel();
+    } else {
+      window.addEventListener("storage", handleStorage);
+    }
+  }
+
+  listeners.add(listener);
+
+  return () => {
+    listeners.delete(listener);
+
+    if (listeners.size === 0 && !hasBroadcastChannel) {
+      window.removeEventListener("storage", handleStorage);
+    }
+  };
+};
@@ -0,0 +1,78 @@
+/**
+ * Where crashes caught by the error boundaries are reported.
+ *
+ * A reporter is any object with a `report(error, context)` method. The console reporter
+ * is always used. When REACT_APP_ERROR_REPORTING_URL is set, reports are also sent to that
+ * endpoint (the local mock API accepts them at /api/client-errors). To use a service like
+ * Sentry, call setErrorReporters() with your own reporter in src/index.js.
+ */
+
+import { config } from "../config";
+
+export const consoleReporter = {
+  report: (error, context) => {
+    console.error("Unexpected error", { error, ...context });
+  },
+};
+
+/**
+ * @param {string} url - Receives a JSON POST per error
+ */
+export const createEndpointReporter = (url) => ({
+  report: (error, context) => {
+    const body = JSON.stringify({
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+      ...context,
+      timestamp: new Date().toISOString(),
+    });
+
+    // sendBeacon survives page unloads, fall back to fetch where it isn't available.
+    // Sent as text/plain so the browser doesn't need a CORS preflight first.
+    if (
+      navigator.sendBeacon &&
+      navigator.sendBeacon(url, new Blob([body], { type: "text/plain" }))
+    ) {
+      return;
+    }
+
+    fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain" },
+      body,
+      keepalive: true,
+    }).catch(() => {
+      // Reporting must never cause another error
+    });
+  },
+});
+
+let reporters = [
+  consoleReporter,
+  ...(config.errorReportingUrl
+    ? [createEndpointReporter(config.errorReportingUrl)]
+    : []),
+];
+
+/**
+ * Replace the reporters errors are sent to
+ * @param {Array<{ report: Function }>} newReporters
+ */
+export const setErrorReporters = (newReporters) => {
+  reporters = newReporters;
+};
+
+/**
+ * @param {Error} error
+ * @param {Object} context - Where it happened: { route, userId, componentStack }
+ */
+export const reportError = (error, context = {}) => {
+  reporters.forEach((reporter) => {
+    try {
+      reporter.report(error, context);
+    } catch (reporterError) {
+      console.error("Error reporter failed", reporterError);
+    }
+  });
+};
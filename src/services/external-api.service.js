@@ -1,47 +1,387 @@
+/**
+ * The one HTTP layer of the app: every call to an API server goes through here.
+ *
+ * - callExternalApi sends a request and turns ANY outcome into `{ data, error, status }`,
+ *   so callers never need try/catch.
+ * - createApiClient binds a base URL and an access token getter, and adds the
+ *   `Authorization: Bearer <token>` header to each request for you. It also:
+ *   - retries network errors, 5xx and 429 responses with exponential backoff
+ *   - on a 401, gets a brand new access token (skipping the SDK cache) and tries once more,
+ *     unless the API asks for a fresh login (step-up): a new token wouldn't be any fresher
+ */
+
 import axios from "axios";
 
+/**
+ * Default retry policy. Delays are in milliseconds.
+ * Set `retry: false` on a client or a single request to disable retries.
+ */
+const defaultRetry = {
+  retries: 2,
+  baseDelay: 300,
+  maxDelay: 5000,
+  // Retry-After values longer than this aren't worth waiting for: give up instead
+  maxRetryAfter: 30000,
+};
+
+// Sending these twice has the same effect as sending them once, so they're safe to retry
+const idempotentMethods = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+// axios error codes of requests that never got a response (offline, DNS, timeout...)
+const networkErrorCodes = ["ERR_NETWORK", "ECONNABORTED", "ETIMEDOUT"];
+
+/**
+ * Every error returned by this module has one of these types, so the UI can react
+ * to what went wrong (e.g. show "check your connection") without parsing messages.
+ */
+export const ApiErrorType = {
+  NETWORK: "network",
+  TIMEOUT: "timeout",
+  UNAUTHORIZED: "unauthorized",
+  FORBIDDEN: "forbidden",
+  NOT_FOUND: "not-found",
+  SERVER: "server",
+  VALIDATION: "validation",
+  CANCELED: "canceled",
+  // The action needs a more recent login, or MFA (see src/hooks/useStepUp.js)
+  STEP_UP_REQUIRED: "step-up-required",
+  UNKNOWN: "unknown",
+};
+
+// The code step-up challenges come with (RFC 9470), in the body of a 401
+const stepUpErrorCode = "insufficient_user_authentication";
+
+const getErrorType = (status, code, body) => {
+  if (code === "ERR_CANCELED") {
+    return ApiErrorType.CANCELED;
+  }
+
+  if (code === "ECONNABORTED" || code === "ETIMEDOUT") {
+    return ApiErrorType.TIMEOUT;
+  }
+
+  if (status === null) {
+    return code === "ERR_NETWORK" ? ApiErrorType.NETWORK : ApiErrorType.UNKNOWN;
+  }
+
+  if (status === 401) {
+    return body && body.code === stepUpErrorCode
+      ? ApiErrorType.STEP_UP_REQUIRED
+      : ApiErrorType.UNAUTHORIZED;
+  }
+
+  if (status === 403) {
+    return ApiErrorType.FORBIDDEN;
+  }
+
+  if (status === 404) {
+    return ApiErrorType.NOT_FOUND;
+  }
+
+  if ([400, 409, 422].includes(status)) {
+    return ApiErrorType.VALIDATION;
+  }
+
+  if (status === 429 || status >= 500) {
+    return ApiErrorType.SERVER;
+  }
+
+  return ApiErrorType.UNKNOWN;
+};
+
+/**
+ * getAccessTokenSilently errors carry an OAuth code (login_required, consent_required...)
+ * when Auth0 answered, and none when Auth0 couldn't be reached at all
+ */
+const getTokenErrorType = (error) => {
+  if (error.error === "timeout") {
+    return ApiErrorType.TIMEOUT;
+  }
+
+  return error.error ? ApiErrorType.UNAUTHORIZED : ApiErrorType.NETWORK;
+};
+
+/**
+ * Pick the most useful message out of a failed request
+ * @param {Error} error
+ * @param {any} [body] - The response body, as read by readErrorBody
+ */
+const getErrorMessage = (error, body) => {
+  if (axios.isAxiosError(error)) {
+    const { response } = error;
+
+    let message = "http request failed";
+
+    if (response && response.statusText) {
+      message = response.statusText;
+    }
+
+    if (error.message) {
+      message = error.message;
+    }
+
+    if (body && body.message) {
+      message = body.message;
+    }
+
+    return message;
+  }
+
+  // Errors thrown by getAccessTokenSilently carry an OAuth error description
+  return error.error_description || error.message;
+};
+
+/**
+ * Requests made with `responseType: "blob"` (file downloads) get their error body as a
+ * Blob too. The server still answered with JSON, so it's read back as such.
+ */
+const readErrorBody = async (response) => {
+  const body = response ? response.data : null;
+
+  if (typeof Blob === "undefined" || !(body instanceof Blob)) {
+    return body;
+  }
+
+  try {
+    const text = await body.text();
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text || null;
+    }
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Retry-After is either a number of seconds or an HTTP date
+ * @returns {number|null} Milliseconds to wait
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * @param {Object} options
+ * @param {Object} options.config - axios request config (url, method, headers, data...)
+ * @returns {Promise<{ data: any, error: ApiError|null, status: number|null }>}
+ *
+ * @typedef {Object} ApiError
+ * @property {string} type - One of ApiErrorType
+ * @property {string} message - Technical message, from the server when it sent one
+ * @property {number|null} status - HTTP status, null when no response was received
+ * @property {string} [code] - axios or OAuth error code, e.g. "ERR_NETWORK" or "login_required"
+ * @property {number} [retryAfter] - Milliseconds the server asked to wait (Retry-After)
+ * @property {any} [details] - The raw response body, for debugging
+ */
 export const callExternalApi = async (options) => {
   try {
     const response = await axios(options.config);
-    const { data } = response;
+    const { data, status } = response;
 
     return {
       data,
       error: null,
+      status,
     };
   } catch (error) {
-    if (axios.isAxiosError(error)) {
-      const axiosError = error;
+    const response = axios.isAxiosError(error) ? error.response : null;
+    const status = (response && response.status) || null;
+    const retryAfter = response
+      ? parseRetryAfter(response.headers["retry-after"])
+      : null;
+    const body = await readErrorBody(response);
+
+    return {
+      data: null,
+      error: {
+        type: getErrorType(status, error.code, body),
+        message: getErrorMessage(error, body),
+        status,
+        ...(error.code && { code: error.code }),
+        ...(retryAfter !== null && { retryAfter }),
+        ...(body && { details: body }),
+      },
+      status,
+    };
+  }
+};
+
+/**
+ * Resolves after `ms`, or right away when the request is aborted
+ */
+const wait = (ms, signal) =>
+  new Promise((resolve) => {
+    const timeoutId = setTimeout(resolve, ms);
+
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timeoutId);
+          resolve();
+        },
+        { once: true }
+      );
+    }
+  });
+
+/**
+ * How long to wait before retrying a failed request, or null to stop retrying
+ */
+export const getRetryDelay = (result, attempt, method, retry) => {
+  const { status, code, retryAfter } = result.error;
+
+  if (!retry || attempt >= retry.retries) {
+    return null;
+  }
+
+  // 429 means the server didn't process the request, so any method can be retried
+  const isRetryableStatus = status === 429 || (status >= 500 && status < 600);
+  const isNetworkError = status === null && networkErrorCodes.includes(code);
 
-      const { response } = axiosError;
+  if (!isRetryableStatus && !isNetworkError) {
+    return null;
+  }
+
+  if (status !== 429 && !idempotentMethods.includes(method.toUpperCase())) {
+    return null;
+  }
 
-      let message = "http request failed";
+  if (retryAfter !== undefined) {
+    return retryAfter <= retry.maxRetryAfter ? retryAfter : null;
+  }
+
+  // Exponential backoff with "full jitter", so many clients don't all retry at the same time
+  const backoff = Math.min(retry.maxDelay, retry.baseDelay * 2 ** attempt);
+
+  return Math.random() * backoff;
+};
 
-      if (response && response.statusText) {
-        message = response.statusText;
+/**
+ * Create a client for one API server.
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - Prepended to every request url
+ * @param {Function} [options.getAccessToken] - Returns the access token to send, e.g. useAuth0's getAccessTokenSilently.
+ *   It receives `{ cacheMode: "off" }` when the API rejected the previous token.
+ * @param {Object|false} [options.retry] - Overrides the default retry policy
+ *
+ * Each request can also pass its own `getAccessToken` and `retry`. Requests made without any
+ * token getter are sent anonymously (public endpoints).
+ */
+export const createApiClient = ({
+  baseUrl,
+  getAccessToken,
+  retry: clientRetry,
+} = {}) => {
+  const request = async ({
+    getAccessToken: requestGetAccessToken = getAccessToken,
+    retry: requestRetry,
+    headers,
+    ...config
+  }) => {
+    const retryOption = requestRetry === undefined ? clientRetry : requestRetry;
+    const retry =
+      retryOption === false ? null : { ...defaultRetry, ...retryOption };
+    const method = config.method || "GET";
+
+    const send = async (tokenOptions) => {
+      let accessToken = null;
+
+      if (requestGetAccessToken) {
+        try {
+          accessToken = await requestGetAccessToken(tokenOptions);
+        } catch (error) {
+          // No token (e.g. the session expired): report it like any other failed request
+          return {
+            data: null,
+            error: {
+              type: getTokenErrorType(error),
+              message: getErrorMessage(error),
+              status: null,
+              ...(error.error && { code: error.error }),
+            },
+            status: null,
+          };
+        }
       }
 
-      if (axiosError.message) {
-        message = axiosError.message;
+      return callExternalApi({
+        config: {
+          baseURL: baseUrl,
+          method,
+          ...config,
+          headers: {
+            "content-type": "application/json",
+            ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+            ...headers,
+          },
+        },
+      });
+    };
+
+    let result = await send();
+    let hasRefreshedToken = false;
+    let attempt = 0;
+
+    while (result.error && !(config.signal && config.signal.aborted)) {
+      // The token may have been revoked or its permissions changed: get a new one, once.
+      // A step-up challenge needs a new login instead, which useStepUp takes care of.
+      if (
+        result.status === 401 &&
+        result.error.type !== ApiErrorType.STEP_UP_REQUIRED &&
+        requestGetAccessToken &&
+        !hasRefreshedToken
+      ) {
+        hasRefreshedToken = true;
+        result = await send({ cacheMode: "off" });
+        continue;
       }
 
-      if (response && response.data && response.data.message) {
-        message = response.data.message;
+      const delay = getRetryDelay(result, attempt, method, retry);
+
+      if (delay === null) {
+        break;
       }
 
-      return {
-        data: null,
-        error: {
-          message,
-        },
-      };
+      attempt += 1;
+      await wait(delay, config.signal);
+
+      if (config.signal && config.signal.aborted) {
+        break;
+      }
+
+      result = await send();
     }
 
-    return {
-      data: null,
-      error: {
-        message: error.message,
-      },
-    };
-  }
+    return result;
+  };
+
+  return {
+    request,
+    get: (url, options = {}) => request({ ...options, url, method: "GET" }),
+    post: (url, data, options = {}) =>
+      request({ ...options, url, data, method: "POST" }),
+    put: (url, data, options = {}) =>
+      request({ ...options, url, data, method: "PUT" }),
+    patch: (url, data, options = {}) =>
+      request({ ...options, url, data, method: "PATCH" }),
+    delete: (url, options = {}) =>
+      request({ ...options, url, method: "DELETE" }),
+  };
 };
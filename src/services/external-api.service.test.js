@@ -0,0 +1,194 @@
+import axios from "axios";
+import {
+  ApiErrorType,
+  createApiClient,
+  getRetryDelay,
+  parseRetryAfter,
+} from "./external-api.service";
+
+jest.mock("axios", () => {
+  const axios = jest.fn();
+  axios.isAxiosError = (error) => Boolean(error && error.isAxiosError);
+  return axios;
+});
+
+// What axios rejects with when the server answers with an error status
+const httpError = (status, data = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    isAxiosError: true,
+    response: { status, data, headers: {} },
+  });
+
+const retry = {
+  retries: 2,
+  baseDelay: 300,
+  maxDelay: 5000,
+  maxRetryAfter: 30000,
+};
+
+const failure = (error) => ({
+  data: null,
+  error: { type: "server", message: "", ...error },
+  status: error.status,
+});
+
+describe("parseRetryAfter", () => {
+  const now = Date.parse("2024-01-31T12:00:00Z");
+
+  beforeEach(() => {
+    jest.spyOn(Date, "now").mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("reads a number of seconds", () => {
+    expect(parseRetryAfter("120")).toBe(120000);
+    expect(parseRetryAfter("0")).toBe(0);
+  });
+
+  it("reads an HTTP date as the time left until then", () => {
+    expect(parseRetryAfter("Wed, 31 Jan 2024 12:00:30 GMT")).toBe(30000);
+  });
+
+  it("never asks to wait a negative time", () => {
+    expect(parseRetryAfter("-5")).toBe(0);
+    expect(parseRetryAfter("Wed, 31 Jan 2024 11:59:00 GMT")).toBe(0);
+  });
+
+  it("ignores a missing or unreadable header", () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter("")).toBeNull();
+    expect(parseRetryAfter("soon")).toBeNull();
+  });
+});
+
+describe("getRetryDelay", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("waits what the server asked for with Retry-After", () => {
+    const result = failure({ status: 429, retryAfter: 2000 });
+
+    expect(getRetryDelay(result, 0, "POST", retry)).toBe(2000);
+  });
+
+  it("gives up when Retry-After is too long to wait", () => {
+    const result = failure({ status: 503, retryAfter: 60000 });
+
+    expect(getRetryDelay(result, 0, "GET", retry)).toBeNull();
+  });
+
+  it("backs off exponentially, with jitter, up to maxDelay", () => {
+    jest.spyOn(Math, "random").mockReturnValue(0.5);
+    const result = failure({ status: 502 });
+
+    expect(getRetryDelay(result, 0, "GET", retry)).toBe(150);
+    expect(getRetryDelay(result, 1, "GET", retry)).toBe(300);
+    expect(getRetryDelay(result, 9, "GET", { ...retry, retries: 10 })).toBe(
+      2500
+    );
+  });
+
+  it("retries network errors of idempotent requests", () => {
+    const result = failure({ status: null, code: "ERR_NETWORK" });
+
+    expect(getRetryDelay(result, 0, "get", retry)).toEqual(expect.any(Number));
+    expect(getRetryDelay(result, 0, "POST", retry)).toBeNull();
+  });
+
+  it("retries 429 for any method, but other errors only for idempotent ones", () => {
+    expect(getRetryDelay(failure({ status: 429 }), 0, "POST", retry)).toEqual(
+      expect.any(Number)
+    );
+    expect(
+      getRetryDelay(failure({ status: 500 }), 0, "POST", retry)
+    ).toBeNull();
+  });
+
+  it("doesn't retry client errors", () => {
+    [400, 401, 403, 404, 422].forEach((status) => {
+      expect(getRetryDelay(failure({ status }), 0, "GET", retry)).toBeNull();
+    });
+  });
+
+  it("stops after the last retry, or when retries are off", () => {
+    const result = failure({ status: 503 });
+
+    expect(getRetryDelay(result, 2, "GET", retry)).toBeNull();
+    expect(getRetryDelay(result, 0, "GET", null)).toBeNull();
+  });
+});
+
+describe("createApiClient", () => {
+  afterEach(() => {
+    axios.mockReset();
+  });
+
+  const authorizationHeaders = () =>
+    axios.mock.calls.map(([config]) => config.headers.Authorization);
+
+  it("gets a brand new token on a 401, and tries once more with it", async () => {
+    const getAccessToken = jest
+      .fn()
+      .mockResolvedValueOnce("revoked-token")
+      .mockResolvedValueOnce("new-token");
+    const client = createApiClient({ baseUrl: "http://api", getAccessToken });
+
+    axios
+      .mockRejectedValueOnce(httpError(401))
+      .mockResolvedValueOnce({ data: { ok: true }, status: 200 });
+
+    const result = await client.get("/api/posts");
+
+    expect(getAccessToken.mock.calls).toEqual([
+      [undefined],
+      [{ cacheMode: "off" }],
+    ]);
+    expect(authorizationHeaders()).toEqual([
+      "Bearer revoked-token",
+      "Bearer new-token",
+    ]);
+    expect(result).toEqual({ data: { ok: true }, error: null, status: 200 });
+  });
+
+  it("refreshes the token only once", async () => {
+    const getAccessToken = jest.fn().mockResolvedValue("token");
+    const client = createApiClient({ baseUrl: "http://api", getAccessToken });
+
+    axios.mockRejectedValue(httpError(401));
+
+    const result = await client.get("/api/posts");
+
+    expect(axios).toHaveBeenCalledTimes(2);
+    expect(result.status).toBe(401);
+  });
+
+  it("doesn't refresh the token when the API asks for a fresh login", async () => {
+    const getAccessToken = jest.fn().mockResolvedValue("token");
+    const client = createApiClient({ baseUrl: "http://api", getAccessToken });
+
+    axios.mockRejectedValue(
+      httpError(401, { code: "insufficient_user_authentication", maxAge: 300 })
+    );
+
+    const result = await client.delete("/api/posts/1");
+
+    expect(getAccessToken).toHaveBeenCalledTimes(1);
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(result.error.type).toBe(ApiErrorType.STEP_UP_REQUIRED);
+  });
+
+  it("doesn't refresh anything for anonymous requests", async () => {
+    const client = createApiClient({ baseUrl: "http://api" });
+
+    axios.mockRejectedValue(httpError(401));
+
+    await client.get("/api/messages/public");
+
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(authorizationHeaders()).toEqual([undefined]);
+  });
+});
@@ -1,17 +1,28 @@
-import { callExternalApi } from "./external-api.service";
+import { config } from "../config";
+import { createApiClient } from "./external-api.service";
+import { cachedRequest, invalidateCache } from "./response-cache.service";
 
-const apiServerUrl = process.env.REACT_APP_API_SERVER_URL;
+const apiClient = createApiClient({ baseUrl: config.apiServerUrl });
 
-export const getPublicResource = async () => {
-  const config = {
-    url: `${apiServerUrl}/api/messages/public`,
-    method: "GET",
-    headers: {
-      "content-type": "application/json",
-    },
-  };
+/**
+ * Messages rarely change, so they're cached (see response-cache.service.js).
+ * The public one is the same for everybody and can be kept longer.
+ */
+const publicMessageTtl = { maxAge: 5 * 60 * 1000 };
 
-  const { data, error } = await callExternalApi({ config });
+const getMessage = async (
+  url,
+  { getAccessToken, signal, userId, onRevalidate, ttl }
+) => {
+  const { data, error } = await cachedRequest({
+    key: url,
+    userId,
+    ttl,
+    signal,
+    onRevalidate,
+    fetcher: (requestSignal) =>
+      apiClient.get(url, { getAccessToken, signal: requestSignal }),
+  });
 
   return {
     data: data || null,
@@ -19,36 +30,37 @@ export const getPublicResource = async () => {
   };
 };
 
-export const getProtectedResource = async () => {
-  const config = {
-    url: `${apiServerUrl}/api/messages/protected`,
-    method: "GET",
-    headers: {
-      "content-type": "application/json",
-    },
-  };
-
-  const { data, error } = await callExternalApi({ config });
-
-  return {
-    data: data || null,
-    error,
-  };
-};
+/**
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {Function} [options.onRevalidate] - Receives the refreshed result when a stale cached message was returned
+ */
+export const getPublicResource = async ({ signal, onRevalidate } = {}) =>
+  getMessage("/api/messages/public", {
+    signal,
+    onRevalidate,
+    ttl: publicMessageTtl,
+  });
 
-export const getAdminResource = async () => {
-  const config = {
-    url: `${apiServerUrl}/api/messages/admin`,
-    method: "GET",
-    headers: {
-      "content-type": "application/json",
-    },
-  };
+/**
+ * @param {Object} options
+ * @param {Function} options.getAccessToken - Returns the access token for REACT_APP_AUTH0_AUDIENCE (useAuth0's getAccessTokenSilently)
+ * @param {string} options.userId - The user's `sub`, so cached messages are never shared between users
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {Function} [options.onRevalidate] - Receives the refreshed result when a stale cached message was returned
+ */
+export const getProtectedResource = async (options) =>
+  getMessage("/api/messages/protected", options);
 
-  const { data, error } = await callExternalApi({ config });
+/**
+ * Same options as getProtectedResource
+ */
+export const getAdminResource = async (options) =>
+  getMessage("/api/messages/admin", options);
 
-  return {
-    data: data || null,
-    error,
-  };
+/**
+ * Drop every cached message, so the next visit fetches them again
+ */
+export const invalidateMessages = () => {
+  invalidateCache("/api/messages");
 };
@@ -0,0 +1,48 @@
+import { config } from "../config";
+import { createApiClient } from "./external-api.service";
+import { cachedRequest, invalidateCache } from "./response-cache.service";
+
+// Without YOUR backend running, the app falls back to the token's permissions: don't retry
+const apiClient = createApiClient({
+  baseUrl: config.externalApiServerUrl,
+  retry: false,
+});
+
+const permissionsUrl = "/api/user/permissions";
+
+/**
+ * Roles assigned in the admin console only exist in YOUR backend, so it's the one that
+ * knows every permission the user has. Fetched by every guard and nav bar, hence cached
+ * (see response-cache.service.js).
+ *
+ * @param {Object} options
+ * @param {Function} options.getAccessToken - Returns the access token for REACT_APP_AUTH0_AUDIENCE
+ * @param {string} options.userId - The user's `sub`, so cached permissions are never shared between users
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<{ data: { permissions: string[], roles: string[] }|null, error }>}
+ */
+export const getUserPermissions = async ({
+  getAccessToken,
+  userId,
+  signal,
+}) => {
+  const { data, error } = await cachedRequest({
+    key: permissionsUrl,
+    userId,
+    signal,
+    fetcher: (requestSignal) =>
+      apiClient.get(permissionsUrl, { getAccessToken, signal: requestSignal }),
+  });
+
+  return {
+    data: data || null,
+    error,
+  };
+};
+
+/**
+ * Forget the cached permissions, e.g. after changing roles in the admin console
+ */
+export const invalidateUserPermissions = () => {
+  invalidateCache(permissionsUrl);
+};
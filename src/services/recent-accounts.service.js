@@ -0,0 +1,60 @@
+/**
+ * Remembers the accounts recently used in this browser, for the account switcher.
+ *
+ * Only what the switcher displays is kept (name, email, picture), never any token:
+ * switching still goes through Auth0, the email only pre-fills the login form.
+ * Stored in localStorage, so the list survives logouts and is shared by every tab.
+ */
+
+const storageKey = "recent-accounts";
+const maxAccounts = 5;
+
+/**
+ * @returns {Array<{ userId: string, name: string, email: string, picture: string, lastUsedAt: number }>}
+ *   Most recently used first
+ */
+export const getRecentAccounts = () => {
+  try {
+    const accounts = JSON.parse(localStorage.getItem(storageKey));
+
+    return Array.isArray(accounts) ? accounts : [];
+  } catch (error) {
+    // Nothing stored yet, storage disabled, or a value we can't read
+    return [];
+  }
+};
+
+const saveRecentAccounts = (accounts) => {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(accounts));
+  } catch (error) {
+    // Storage is full or disabled: the switcher just won't remember
+  }
+};
+
+/**
+ * Move the user to the top of the list, adding them if needed
+ * @param {Object} user - The `user` from useAuth0
+ */
+export const rememberAccount = (user) => {
+  const account = {
+    userId: user.sub,
+    name: user.name || user.email || user.sub,
+    email: user.email || "",
+    picture: user.picture || "",
+    lastUsedAt: Date.now(),
+  };
+
+  saveRecentAccounts(
+    [
+      account,
+      ...getRecentAccounts().filter(({ userId }) => userId !== user.sub),
+    ].slice(0, maxAccounts)
+  );
+};
+
+export const forgetAccount = (userIdToForget) => {
+  saveRecentAccounts(
+    getRecentAccounts().filter(({ userId }) => userId !== userIdToForget)
+  );
+};
@@ -0,0 +1,123 @@
+/**
+ * In-memory cache for API responses, with stale-while-revalidate.
+ *
+ * Each response is stored under the user it was fetched for AND its URL, so a cached
+ * admin message fetched by one user is never served to another one. When a response is:
+ * - fresh (younger than maxAge) → it's returned without calling the API
+ * - stale (younger than maxAge + staleWhileRevalidate) → it's returned right away, and
+ *   fetched again in the background; `onRevalidate` receives the new result
+ * - older, or not cached → the API is called and the caller waits for it
+ *
+ * Only successful responses are cached. Call clearCache() when the user logs out.
+ */
+
+const cache = new Map();
+
+/**
+ * Bumped by clearCache(), so responses that were in flight while the cache
+ * was cleared (e.g. during logout) can't sneak back into it.
+ */
+let generation = 0;
+
+let defaultTtl = {
+  maxAge: 30 * 1000,
+  staleWhileRevalidate: 5 * 60 * 1000,
+};
+
+/**
+ * Change the TTLs used by requests that don't pass their own
+ * @param {{ maxAge?: number, staleWhileRevalidate?: number }} ttl - In milliseconds
+ */
+export const configureResponseCache = (ttl) => {
+  defaultTtl = { ...defaultTtl, ...ttl };
+};
+
+const getCacheKey = (userId, key) => `${userId || "anonymous"}::${key}`;
+
+const store = (cacheKey, requestGeneration, result) => {
+  if (result.error || requestGeneration !== generation) {
+    return;
+  }
+
+  cache.set(cacheKey, { data: result.data, storedAt: Date.now() });
+};
+
+const revalidate = async (cacheKey, fetcher, onRevalidate) => {
+  const entry = cache.get(cacheKey);
+
+  // One background refresh per entry is enough
+  if (entry.isRevalidating) {
+    return;
+  }
+
+  entry.isRevalidating = true;
+
+  const requestGeneration = generation;
+  const result = await fetcher();
+
+  entry.isRevalidating = false;
+  store(cacheKey, requestGeneration, result);
+
+  // Keep showing the stale data if the refresh failed
+  if (!result.error && requestGeneration === generation && onRevalidate) {
+    onRevalidate(result);
+  }
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.key - What is being fetched, usually the URL
+ * @param {string} [options.userId] - Who it's fetched for (the user's `sub`), omit for anonymous requests
+ * @param {Function} options.fetcher - Receives an optional AbortSignal and resolves to `{ data, error }`
+ * @param {AbortSignal} [options.signal] - Aborts the request when the caller waits for it
+ * @param {Function} [options.onRevalidate] - Called with the fresh result after a background refresh
+ * @param {{ maxAge?: number, staleWhileRevalidate?: number }} [options.ttl] - In milliseconds
+ */
+export const cachedRequest = async ({
+  key,
+  userId,
+  fetcher,
+  signal,
+  onRevalidate,
+  ttl,
+}) => {
+  const { maxAge, staleWhileRevalidate } = { ...defaultTtl, ...ttl };
+  const cacheKey = getCacheKey(userId, key);
+  const entry = cache.get(cacheKey);
+  const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+  if (age < maxAge) {
+    return { data: entry.data, error: null };
+  }
+
+  if (age < maxAge + staleWhileRevalidate) {
+    revalidate(cacheKey, fetcher, onRevalidate);
+
+    return { data: entry.data, error: null };
+  }
+
+  const requestGeneration = generation;
+  const result = await fetcher(signal);
+
+  store(cacheKey, requestGeneration, result);
+
+  return result;
+};
+
+/**
+ * Forget every cached response whose key starts with `keyPrefix`, for all users
+ * @param {string} keyPrefix - e.g. "/api/messages"
+ */
+export const invalidateCache = (keyPrefix) => {
+  [...cache.keys()]
+    .filter((cacheKey) => cacheKey.split("::")[1].startsWith(keyPrefix))
+    .forEach((cacheKey) => cache.delete(cacheKey));
+};
+
+/**
+ * Forget everything. Must be called on logout.
+ */
+export const clearCache = () => {
+  generation += 1;
+  cache.clear();
+};
@@ -0,0 +1,161 @@
+import {
+  cachedRequest,
+  clearCache,
+  invalidateCache,
+} from "./response-cache.service";
+
+const ttl = { maxAge: 1000, staleWhileRevalidate: 5000 };
+
+// A fetcher that only resolves when the test says so
+const deferredFetcher = () => {
+  let resolve;
+  const fetcher = jest.fn(
+    () =>
+      new Promise((resolvePromise) => {
+        resolve = resolvePromise;
+      })
+  );
+
+  return { fetcher, resolve: (result) => resolve(result) };
+};
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("cachedRequest", () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.parse("2024-01-31T12:00:00Z");
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+    clearCache();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const request = (fetcher, options = {}) =>
+    cachedRequest({
+      key: "/api/messages",
+      userId: "auth0|a",
+      fetcher,
+      ttl,
+      ...options,
+    });
+
+  it("serves a fresh response without calling the API", async () => {
+    const fetcher = jest.fn().mockResolvedValue({ data: "first", error: null });
+
+    await request(fetcher);
+    now += 500;
+
+    expect(await request(fetcher)).toEqual({ data: "first", error: null });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it("serves a stale response right away, and refreshes it in the background", async () => {
+    await request(jest.fn().mockResolvedValue({ data: "old", error: null }));
+    now += 2000;
+
+    const fetcher = jest.fn().mockResolvedValue({ data: "new", error: null });
+    const onRevalidate = jest.fn();
+
+    expect(await request(fetcher, { onRevalidate })).toEqual({
+      data: "old",
+      error: null,
+    });
+
+    await flushPromises();
+
+    expect(onRevalidate).toHaveBeenCalledWith({ data: "new", error: null });
+    expect(await request(fetcher)).toEqual({ data: "new", error: null });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it("drops a background refresh that finishes after clearCache", async () => {
+    await request(jest.fn().mockResolvedValue({ data: "alice", error: null }));
+    now += 2000;
+
+    const { fetcher, resolve } = deferredFetcher();
+    const onRevalidate = jest.fn();
+
+    await request(fetcher, { onRevalidate });
+
+    // The user logs out while the refresh is in flight
+    clearCache();
+    resolve({ data: "alice, refreshed", error: null });
+    await flushPromises();
+
+    expect(onRevalidate).not.toHaveBeenCalled();
+
+    const nextFetcher = jest
+      .fn()
+      .mockResolvedValue({ data: "fetched again", error: null });
+
+    expect(await request(nextFetcher)).toEqual({
+      data: "fetched again",
+      error: null,
+    });
+    expect(nextFetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it("doesn't store a response that was in flight during clearCache", async () => {
+    const { fetcher, resolve } = deferredFetcher();
+    const pending = request(fetcher);
+
+    clearCache();
+    resolve({ data: "alice", error: null });
+    await pending;
+
+    const nextFetcher = jest
+      .fn()
+      .mockResolvedValue({ data: "bob", error: null });
+
+    expect(await request(nextFetcher)).toEqual({ data: "bob", error: null });
+  });
+
+  it("calls the API again once the response is too old", async () => {
+    await request(jest.fn().mockResolvedValue({ data: "old", error: null }));
+    now += 6000;
+
+    const fetcher = jest.fn().mockResolvedValue({ data: "new", error: null });
+
+    expect(await request(fetcher)).toEqual({ data: "new", error: null });
+  });
+
+  it("keeps the responses of each user apart", async () => {
+    await request(jest.fn().mockResolvedValue({ data: "alice", error: null }));
+
+    const fetcher = jest.fn().mockResolvedValue({ data: "bob", error: null });
+
+    expect(await request(fetcher, { userId: "auth0|b" })).toEqual({
+      data: "bob",
+      error: null,
+    });
+  });
+
+  it("doesn't cache errors", async () => {
+    const error = { type: "server", message: "Oops", status: 500 };
+
+    await request(jest.fn().mockResolvedValue({ data: null, error }));
+
+    const fetcher = jest.fn().mockResolvedValue({ data: "ok", error: null });
+
+    expect(await request(fetcher)).toEqual({ data: "ok", error: null });
+  });
+
+  it("forgets the keys invalidateCache matches, for all users", async () => {
+    const cached = jest.fn().mockResolvedValue({ data: "cached", error: null });
+
+    await request(cached);
+    await request(cached, { userId: "auth0|b" });
+    await request(cached, { key: "/api/posts" });
+
+    invalidateCache("/api/messages");
+    await request(cached);
+    await request(cached, { userId: "auth0|b" });
+    await request(cached, { key: "/api/posts" });
+
+    expect(cached).toHaveBeenCalledTimes(5);
+  });
+});
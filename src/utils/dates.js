@@ -0,0 +1,21 @@
+/**
+ * Date helpers for the pages that filter by day (analytics, audit log).
+ *
+ * The backend works with UTC days, as YYYY-MM-DD strings (see backend-example/dates.js):
+ * they sort and compare like the dates they represent.
+ */
+
+export const dayInMs = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Date} date
+ * @returns {string} The UTC day, e.g. "2024-01-31"
+ */
+export const toDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Only checks the format: the backend rejects impossible dates like 2024-02-30
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "");
@@ -0,0 +1,23 @@
+/**
+ * Saves data the app already has (e.g. an export fetched with an access token) as a file.
+ *
+ * A plain link can't do it: the browser wouldn't send the Authorization header.
+ */
+
+/**
+ * @param {Blob} blob - The file content
+ * @param {string} filename - The name suggested in the "Save" dialog
+ */
+export const downloadFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // The download has started: the URL isn't needed anymore
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
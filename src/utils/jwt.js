@@ -0,0 +1,30 @@
+/**
+ * Small helpers for reading the claims of a JWT in the browser.
+ *
+ * IMPORTANT: this only DECODES the token, it does not verify its signature.
+ * That's fine for UI decisions (hiding a tab, showing a 403 page), but the
+ * real enforcement must always happen on the API server, which verifies the
+ * token before trusting anything inside it.
+ */
+
+/**
+ * Decode the payload (the middle part) of a JWT.
+ * @param {string} token - A compact JWT (header.payload.signature)
+ * @returns {Object} The token claims, or an empty object if it can't be decoded
+ */
+export const decodeJwtPayload = (token) => {
+  try {
+    const [, payload] = token.split(".");
+    const base64 = payload.replace(/-/g, "+").replace(/_/g, "/");
+    const json = decodeURIComponent(
+      atob(base64)
+        .split("")
+        .map((char) => "%" + ("00" + char.charCodeAt(0).toString(16)).slice(-2))
+        .join("")
+    );
+
+    return JSON.parse(json);
+  } catch (error) {
+    return {};
+  }
+};
@@ -0,0 +1,85 @@
+/**
+ * Helpers for sending users back exactly where they were after logging in.
+ *
+ * Before redirecting to Auth0, the app saves the current location in `appState`.
+ * Auth0 hands it back untouched after the login, and onRedirectCallback
+ * (src/auth0-provider-with-navigate.js) navigates there.
+ *
+ * IMPORTANT: appState comes back through the URL of the callback, so it must be
+ * treated like user input. A return target pointing to another site would turn the
+ * login into an "open redirect", so only paths of this app are accepted.
+ */
+
+const fallbackPath = "/";
+
+// Going back to the callback page would try to handle the same login twice
+const callbackPath = "/callback";
+
+/**
+ * The current location as a path: /posts?category=tech#comments
+ * @returns {string}
+ */
+export const getCurrentPath = () =>
+  `${window.location.pathname}${window.location.search}${window.location.hash}`;
+
+/**
+ * The appState to pass to loginWithRedirect, so the user comes back to this exact page.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepScroll] - Also come back to the same scroll position
+ * @returns {{ returnTo: string, scrollY?: number }}
+ */
+export const createReturnState = ({ keepScroll = false } = {}) => ({
+  returnTo: getCurrentPath(),
+  ...(keepScroll && { scrollY: Math.round(window.scrollY) }),
+});
+
+/**
+ * Turns a return target into a path of this app, or "/" if it points anywhere else.
+ * Relative paths are resolved against the current origin, so "/posts" is fine,
+ * while "https://evil.example", "//evil.example" or "javascript:..." are not.
+ * @param {*} returnTo - The target found in appState
+ * @returns {string} A path, with its query string and hash
+ */
+export const toSafeReturnPath = (returnTo) => {
+  if (typeof returnTo !== "string" || !returnTo.startsWith("/")) {
+    return fallbackPath;
+  }
+
+  try {
+    const url = new URL(returnTo, window.location.origin);
+
+    if (
+      url.origin !== window.location.origin ||
+      url.pathname === callbackPath
+    ) {
+      return fallbackPath;
+    }
+
+    return `${url.pathname}${url.search}${url.hash}`;
+  } catch (error) {
+    return fallbackPath;
+  }
+};
+
+/**
+ * Restores the scroll position saved by createReturnState, once the page has rendered.
+ * Without one, scrolls to the element the hash points to, like a normal page load would.
+ * @param {Object} [appState]
+ */
+export const restoreScrollPosition = (appState) => {
+  const scrollY = appState ? Number(appState.scrollY) : NaN;
+  const hash = window.location.hash.slice(1);
+
+  window.requestAnimationFrame(() => {
+    if (Number.isFinite(scrollY) && scrollY > 0) {
+      window.scrollTo({ top: scrollY });
+      return;
+    }
+
+    const target = hash && document.getElementById(hash);
+
+    if (target) {
+      target.scrollIntoView();
+    }
+  });
+};
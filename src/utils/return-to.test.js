@@ -0,0 +1,38 @@
+import { toSafeReturnPath } from "./return-to";
+
+describe("toSafeReturnPath", () => {
+  it("keeps paths of this app, with their query string and hash", () => {
+    expect(toSafeReturnPath("/posts")).toBe("/posts");
+    expect(toSafeReturnPath("/posts?category=tech&page=2#comments")).toBe(
+      "/posts?category=tech&page=2#comments"
+    );
+  });
+
+  it("refuses other sites", () => {
+    expect(toSafeReturnPath("https://evil.example/posts")).toBe("/");
+    expect(toSafeReturnPath("//evil.example")).toBe("/");
+  });
+
+  it("refuses backslashes, which browsers read as slashes", () => {
+    expect(toSafeReturnPath("/\\evil.example")).toBe("/");
+  });
+
+  it("refuses other URL schemes", () => {
+    expect(toSafeReturnPath(["javascript", "alert(1)"].join(":"))).toBe("/");
+    expect(toSafeReturnPath("data:text/html,<script>alert(1)</script>")).toBe(
+      "/"
+    );
+  });
+
+  it("doesn't go back to the callback page", () => {
+    expect(toSafeReturnPath("/callback")).toBe("/");
+    expect(toSafeReturnPath("/callback?code=abc&state=xyz")).toBe("/");
+  });
+
+  it("falls back to the home page without a usable target", () => {
+    expect(toSafeReturnPath(undefined)).toBe("/");
+    expect(toSafeReturnPath("")).toBe("/");
+    expect(toSafeReturnPath("posts")).toBe("/");
+    expect(toSafeReturnPath({ returnTo: "/posts" })).toBe("/");
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Helpers for pages that keep their filters and page in the URL (posts, audit log),
+ * so a filtered list can be bookmarked or shared, and the back button undoes a change.
+ */
+
+/**
+ * Anyone can type anything in the URL: anything but a positive whole number means page 1
+ * @param {URLSearchParams} searchParams
+ * @returns {number}
+ */
+export const readPageParam = (searchParams) => {
+  const page = Number(searchParams.get("page"));
+
+  return Number.isInteger(page) && page > 0 ? page : 1;
+};
+
+/**
+ * The search params for setSearchParams, without the empty and default values, so the
+ * URL stays as short as the query allows (plain /posts means "first page, defaults").
+ * @param {Object} values - e.g. `{ page: 2, q: "auth", sort: "newest" }`
+ * @param {Object} [defaults] - Values to leave out, e.g. `{ page: 1, sort: "newest" }`
+ * @returns {Object<string, string>}
+ */
+export const toSearchParams = (values, defaults = {}) =>
+  Object.fromEntries(
+    Object.entries(values)
+      .filter(
+        ([name, value]) =>
+          value !== "" &&
+          value !== null &&
+          value !== undefined &&
+          value !== defaults[name]
+      )
+      .map(([name, value]) => [name, String(value)])
+  );